@@ -6,36 +6,183 @@ import express from 'express';
 import axios from 'axios';
 import path from 'path';
 import { fileURLToPath } from 'url';
-
-const SIX_HOURS_MS = 6 * 60 * 60 * 1000;
+import {
+  loadCalendar, calendarFor, startFromFinish, serializeRules
+} from './lib/calendar.js';
+import { buildCapacity } from './lib/capacity.js';
+import { createCache } from './lib/cache.js';
+import { analyzeCriticalPath } from './lib/critical.js';
+import { createJsonStore } from './lib/jsonStore.js';
+import { randomUUID } from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { toCsv, toXlsx, toMspdi, csvTable } from './lib/export.js';
+import { parseCsvPlan, parseMspdiPlan, previewImport } from './lib/import.js';
+import { fieldDeltas, valueAt } from './lib/history.js';
+import { buildTimesheet, TIMESHEET_COLUMNS } from './lib/timesheet.js';
+import { buildBurn } from './lib/burn.js';
+import { buildBudget } from './lib/budget.js';
+import { loadConfig, phaseKey, publicConfig } from './lib/config.js';
+import { wiql, idList, workItemId, WiqlError } from './lib/wiql.js';
+import { normalizePatch, adoFieldErrors, isRevisionConflict, PatchError } from './lib/patch.js';
+import { providers, createSessionStore, AuthError } from './lib/auth.js';
+import { createAuditLog } from './lib/auditLog.js';
+import { hasSecret, parseWorkItemEvent } from './lib/serviceHook.js';
+import { createMockAdo, loadFixtures } from './lib/mockAdo.js';
+import { checkQuality, countBySeverity, RULES as QUALITY_RULES } from './lib/quality.js';
+import { autoSchedule } from './lib/schedule.js';
+import { buildPortfolio } from './lib/portfolio.js';
 
 // --- environment --------------------------------------------------------------
 const {
   ADO_ORG = 'olsom-net',
+  ADO_ORGS,                          // comma separated, defaults to ADO_ORG
   ADO_PROJECT = 'POL',
   ADO_PAT,
   ROOT_ID = 14681,
-  PORT = 3000
+  PORT = 3000,
+  CALENDAR_FILE = 'calendar.json',
+  PLANNER_CONFIG = 'planner.config.json',
+  TREE_CACHE_MAX_AGE_S = 60,
+  TREE_CACHE_MAX_ENTRIES = 50,       // per organisation
+  DATA_DIR = 'data',
+  SESSION_TTL_H = 8,
+  WEBHOOK_SECRET,                    // enables POST /api/hooks/ado
+  ADO_FIXTURES                       // offline: serve ADO from this fixture file
 } = process.env;
 
-if (!ADO_PAT) {
+// `node index.js --fixtures <file>` is the same as ADO_FIXTURES=<file>
+const fixturesArg = process.argv.indexOf('--fixtures');
+const FIXTURES_FILE = fixturesArg > 0 ? process.argv[fixturesArg + 1] : ADO_FIXTURES;
+
+if (!ADO_PAT && !FIXTURES_FILE) {
   console.error('❌  ADO_PAT missing – copy .env.example ➜ .env and fill in your token');
   process.exit(1);
 }
 
-// --- Axios client for Azure DevOps REST API ----------------------------------
-const ado = axios.create({
-  baseURL: `https://dev.azure.com/${ADO_ORG}/_apis/`,
-  auth: { username: '', password: ADO_PAT },
-  headers: { 'Content-Type': 'application/json' },
-  params: { 'api-version': '7.0' }
-});
+// --- working calendar ---------------------------------------------------------
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+let calendar;
+try {
+  calendar = loadCalendar(path.resolve(__dirname, CALENDAR_FILE));
+} catch (err) {
+  console.error('❌  invalid calendar config –', err.message);
+  process.exit(1);
+}
+
+// --- work item types, fields and phase rules -----------------------------------
+let config;
+try {
+  config = loadConfig(path.resolve(__dirname, PLANNER_CONFIG));
+} catch (err) {
+  console.error('❌  invalid planner config –', err.message);
+  process.exit(1);
+}
+const { types: TYPES, fields: FIELDS } = config;
+
+// --- local state ---------------------------------------------------------------
+const dataDir = path.resolve(__dirname, DATA_DIR);
+const baselineStore = createJsonStore(path.join(dataDir, 'baselines.json'), {});
+const scenarioStore = createJsonStore(path.join(dataDir, 'scenarios.json'), {});
+const auditLog = createAuditLog(path.join(dataDir, 'audit.jsonl'));
+
+// --- Axios clients for Azure DevOps REST API, one per organisation ------------
+const ORGS = (ADO_ORGS || ADO_ORG).split(',').map(o => o.trim()).filter(Boolean);
+const ORG_COOKIE = 'ado-org';
+
+/** PAT for `org`: ADO_PAT_<ORG> (upper-cased, non-word chars as _) or ADO_PAT */
+function patFor(org) {
+  return process.env[`ADO_PAT_${org.toUpperCase().replace(/\W/g, '_')}`] || ADO_PAT;
+}
+
+function orgUrl(org) {
+  if (FIXTURES_FILE) return `http://127.0.0.1:${PORT}/_mock/${encodeURIComponent(org)}`;
+  return `https://dev.azure.com/${org}`;
+}
+
+/** Axios client for `org` acting with `credentials` (axios auth / headers) */
+function createAdoClient(org, credentials) {
+  return axios.create({
+    ...credentials,
+    baseURL: `${orgUrl(org)}/_apis/`,
+    headers: { 'Content-Type': 'application/json', ...credentials.headers },
+    params: { 'api-version': '7.0' }
+  });
+}
+
+// shared clients on the server PAT – used for reads by anonymous visitors
+const adoClients = new Map(ORGS.map(org => [org, createAdoClient(org, {
+  auth: { username: '', password: patFor(org) || 'fixtures' }
+})]));
+
+// organisation and session of the request being served (set by the /api middleware)
+const requestContext = new AsyncLocalStorage();
+
+function currentOrg() {
+  return requestContext.getStore()?.org || ORGS[0];
+}
+
+/**
+ * Axios client of the current request: the signed-in user's own token, so
+ * ADO history shows who made a change, or the shared read client.
+ */
+function ado() {
+  const org = currentOrg();
+  const session = requestContext.getStore()?.session;
+  if (!session) return adoClients.get(org);
+  session.client ??= createAdoClient(org, session.credentials);
+  return session.client;
+}
+
+// --- sessions --------------------------------------------------------------------
+const SESSION_COOKIE = 'planner.sid';
+const sessions = createSessionStore({ ttlMs: Number(SESSION_TTL_H) * 60 * 60 * 1000 });
 
 // --- Express setup -----------------------------------------------------------
 const app = express();
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
 app.use(express.static(path.join(__dirname, 'public')));
-app.use(express.json());
+app.use(express.json({
+  limit: '5mb',                                // plan imports can be large
+  type: ['application/json', 'application/json-patch+json']
+}));
+
+// --- offline mode: a local stand-in for dev.azure.com ---------------------------
+if (FIXTURES_FILE) {
+  let fixtures;
+  try {
+    fixtures = loadFixtures(path.resolve(__dirname, FIXTURES_FILE));
+  } catch (err) {
+    console.error('❌  invalid fixture file –', err.message);
+    process.exit(1);
+  }
+  app.use('/_mock', createMockAdo(fixtures));
+  console.log(`🧪  offline mode – Azure DevOps is mocked from ${FIXTURES_FILE}`);
+}
+
+/** Value of cookie `name` from the request, if present */
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+// The team picker stores the chosen organisation in a cookie, so every page
+// and API call follows it without passing it around; same for the session.
+// A session only counts in the organisation its token was checked against.
+app.use('/api', (req, res, next) => {
+  const cookieOrg = readCookie(req, ORG_COOKIE);
+  const org = adoClients.has(cookieOrg) ? cookieOrg : ORGS[0];
+  const session = sessions.get(readCookie(req, SESSION_COOKIE));
+  req.session = session?.org === org ? session : null;
+  requestContext.run({ org, session: req.session }, next);
+});
+
+/** Changes need a signed-in user; anonymous visitors get a read-only dashboard */
+function requireUser(req, res, next) {
+  if (!req.session) return res.status(401).json({ error: 'Sign in to make changes' });
+  next();
+}
 
 // Simple timestamped logger used for verbose tracing
 function trace(...args) {
@@ -46,7 +193,7 @@ function trace(...args) {
 /** Run WIQL query and return raw result */
 async function runWiql(query) {
   trace('[runWiql] query', query);
-  const { data } = await ado.post('wit/wiql', { query });
+  const { data } = await ado().post('wit/wiql', { query });
   trace('[runWiql] returned',
     data?.workItems?.length || data?.workItemRelations?.length || 0,
     'items');
@@ -56,53 +203,94 @@ async function runWiql(query) {
 /** Batch read work items by id */
 async function readWorkItems(ids, fields) {
   trace('[readWorkItems] ids', ids.length, 'fields', fields);
-  const { data } = await ado.post('wit/workitemsbatch', { ids, fields });
+  const { data } = await ado().post('wit/workitemsbatch', { ids, fields });
   trace('[readWorkItems] received', data.value.length, 'items');
   return data.value;
 }
 
+// trees (or project lists) loaded at the same time when a route reads many –
+// keeps ADO from throttling us
+const TREE_CONCURRENCY = 4;
+
+/** `fn` over `items` with at most `limit` calls in flight, results in order */
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+/** `YYYY-MM-DD` from a query ➜ local midnight of that day, Invalid Date otherwise */
+function localDay(value) {
+  return /^\d{4}-\d\d-\d\d$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(NaN);
+}
+
 /** Map ADO work item to front-end friendly shape */
 function mapWorkItem(wi) {
   const f = wi.fields;
   trace('[mapWorkItem]', wi.id, f['System.Title'], {
     parent: f['System.Parent'],
-    start: f['Microsoft.VSTS.Scheduling.StartDate'],
-    finish: f['Microsoft.VSTS.Scheduling.FinishDate']
+    start: f[FIELDS.startDate],
+    finish: f[FIELDS.finishDate]
   });
   return {
     id: wi.id,
     name: f['System.Title'],
     type: f['System.WorkItemType'],
     parent: undefined,                 // will be filled from link table
-    start: f['Microsoft.VSTS.Scheduling.StartDate'],
+    start: f[FIELDS.startDate],
 
-    est: f['Microsoft.VSTS.Scheduling.OriginalEstimate'] ?? 0,
-    done: f['Microsoft.VSTS.Scheduling.CompletedWork'] ?? 0,
+    est: f[FIELDS.originalEstimate] ?? 0,
+    done: f[FIELDS.completedWork] ?? 0,
     state: f['System.State'],
     ...calcDates(f)
   };
 }
 
+const updatesCache = new Map();   // org/id ➜ { rev, updates }
+
+/**
+ * Revision history (`wit/workitems/{id}/updates`) of a work item. Kept per
+ * revision so reports only go back to ADO for items that changed.
+ * @param {number} id - Work item id.
+ * @param {number} [rev] - Current System.Rev; omit to always fetch.
+ */
+async function readWorkItemUpdates(id, rev) {
+  const key = `${currentOrg()}/${id}`;
+  const hit = updatesCache.get(key);
+  if (rev != null && hit?.rev === rev) return hit.updates;
+  const { data } = await ado().get(`wit/workitems/${id}/updates`, {
+    params: { '$top': 200 }
+  });
+  const updates = data.value || [];
+  updatesCache.set(key, { rev, updates });
+  return updates;
+}
+
+/** Revision history of every task among `rows`, keyed by id */
+async function readTaskUpdates(rows) {
+  const tasks = rows.filter(r => r.type === TYPES.task);
+  return new Map(await mapLimit(tasks, TREE_CONCURRENCY,
+    async t => [t.id, await readWorkItemUpdates(t.id, t.rev)]));
+}
+
 /**
  * Fetch work item revision history and return hours completed in the last 7 days.
  * @param {number} id - Work item id.
  * @param {number} totalDone - Current CompletedWork value.
+ * @param {number} [rev] - Current System.Rev, enables the history cache.
  */
-async function completedWorkThisWeek(id, totalDone = 0) {
+async function completedWorkThisWeek(id, totalDone = 0, rev) {
   const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
   try {
-    const { data } = await ado.get(`wit/workitems/${id}/updates`, {
-      params: { '$top': 200 }
-    });
-    let before = 0;
-    for (const u of data.value || []) {
-      const cw = u.fields?.['Microsoft.VSTS.Scheduling.CompletedWork'];
-      if (!cw) continue;
-      const d = new Date(u.revisedDate);
-      if (d < weekAgo) {
-        before = cw.newValue ?? cw.oldValue ?? before;
-      }
-    }
+    const deltas = fieldDeltas(await readWorkItemUpdates(id, rev), FIELDS.completedWork);
+    const before = valueAt(deltas, weekAgo);
     return Math.max(0, (totalDone || 0) - before);
   } catch (err) {
     trace('[completedWorkThisWeek] failed', id, err.message || err);
@@ -110,362 +298,1675 @@ async function completedWorkThisWeek(id, totalDone = 0) {
   }
 }
 
-// --- routes ------------------------------------------------------------------
-// GET /api/gantt/:rootId - flattened work item tree for a project
-// GET /api/gantt/:rootId  – flattened tree for a project (phase → tasks)
-/* -----------------------------------------------------------
-   GET /api/gantt/:rootId
-   ----------------------------------------------------------- */
-app.get('/api/gantt/:rootId', async (req, res) => {
-  const rootId = Number(req.params.rootId);
-  trace('[gantt] rootId', rootId);
+const DEPENDENCY_FORWARD = 'System.LinkTypes.Dependency-Forward';
 
-  try {
-    /* 1️⃣ fetch hierarchy links */
-    const wiqlText = `
+/**
+ * Read predecessor ➜ successor links between the given work items.
+ * Links pointing outside of `ids` are dropped so the chart only gets
+ * links whose both ends it can draw.
+ * @param {number[]} ids - Work item ids of the loaded tree.
+ * @returns {Promise<Array<{id: string, source: number, target: number, type: string}>>}
+ */
+async function readDependencyLinks(ids) {
+  const known = new Set(ids);
+  const links = [];
+  for (let i = 0; i < ids.length; i += 200) {
+    const chunk = ids.slice(i, i + 200);
+    const data = await runWiql(wiql`
       SELECT [System.Id]
       FROM WorkItemLinks
       WHERE
-        [Source].[System.Id] = ${rootId}
-        AND [System.Links.LinkType] = 'System.LinkTypes.Hierarchy-Forward'
-        AND [Target].[System.WorkItemType] IN ('Project','ITDemand','Task')
-      MODE (Recursive)`;
+        [Source].[System.Id] IN (${idList(chunk)})
+        AND [System.Links.LinkType] = ${DEPENDENCY_FORWARD}
+      MODE (MustContain)`);
+    for (const r of data.workItemRelations || []) {
+      if (!r.source || !r.target || !known.has(r.target.id)) continue;
+      links.push({
+        id: `${r.source.id}-${r.target.id}`,
+        source: r.source.id,
+        target: r.target.id,
+        type: '0'                      // gantt finish_to_start
+      });
+    }
+  }
+  trace('[readDependencyLinks] found', links.length, 'links');
+  return links;
+}
 
-    const { data: linkRes } = await ado.post('wit/wiql', { query: wiqlText });
-    trace('[gantt] link relations', (linkRes.workItemRelations || []).length);
-    const ids = [rootId, ...linkRes.workItemRelations
-      .filter(r => r.target)
-      .map(r => r.target.id)];
+/** Project scoped API url (creating work items needs the project in the path) */
+function projectApiUrl(project, route) {
+  return ado().defaults.baseURL.replace(/_apis\/$/, `${encodeURIComponent(project)}/_apis/`) + route;
+}
 
-    trace('[gantt] linkIds', ids.length);
+/** Absolute work item url as required by ADO relation payloads */
+function workItemUrl(id) {
+  return `${orgUrl(currentOrg())}/_apis/wit/workItems/${id}`;
+}
 
-    if (!ids.length) return res.json([]);
+const TREE_FIELDS = [
+  'System.Id',
+  'System.Title',
+  'System.WorkItemType',
+  'System.State',
+  'System.Parent',
+  'System.AssignedTo',
+  'System.TeamProject',
+  'System.Rev',
+  'System.ChangedDate',
+  FIELDS.originalEstimate,
+  FIELDS.completedWork,
+  FIELDS.dueDate,
+  FIELDS.finishDate,
+  FIELDS.billable
+];
 
-    /* 2️⃣ batch-read ≤200 per call */
-    const all = [];
-    for (let i = 0; i < ids.length; i += 200) {
-      const chunk = ids.slice(i, i + 200);
-      trace('[gantt] reading batch', i / 200 + 1, chunk.length, 'ids');
-
-      const { data: batch } = await ado.post(
-        'wit/workitemsbatch?api-version=7.0',
-        {
-          ids: chunk,
-          fields: [
-            'System.Id',
-            'System.Title',
-            'System.WorkItemType',
-            'System.State',
-            'System.Parent',
-            'System.AssignedTo',
-            'Microsoft.VSTS.Scheduling.OriginalEstimate',
-            'Microsoft.VSTS.Scheduling.CompletedWork',
-            'Microsoft.VSTS.Scheduling.DueDate',
-            'Microsoft.VSTS.Scheduling.FinishDate',
-            'Custom.Billable'
-          ]
-        },
-        { headers: { 'Content-Type': 'application/json' } }
-      );
-
-      trace('[gantt] batch received', batch.value.length, 'items');
-      all.push(...batch.value);
-    }
+// "This Week" hours drift with time even when an item is untouched
+const DONE_WEEK_TTL_MS = 60 * 60 * 1000;
 
-    /* 3️⃣ map + parent lookup */
-    // some rows have only source (no target) – guard against nulls
-    const pLookup = new Map(
-      (linkRes.workItemRelations || [])
-        .filter(r => r.target && r.source)          // 👈 extra safety
-        .map(r => [r.target.id, r.source.id])
-    );
+/** Revision marker of a work item; any edit moves it */
+function revOf(f) {
+  return `${f['System.Rev']}|${f['System.ChangedDate']}`;
+}
 
-    const SIX_H = 6 * 60 * 60 * 1000;
+/** Map one batch-read work item to a (parent-less) gantt row */
+function mapTreeRow(w) {
+  const f = w.fields;
+  const { start, finish } = calcDates(f);
 
-    const rows = all.map(w => {
-      const f = w.fields;
-      const finish = new Date(
-        f['Microsoft.VSTS.Scheduling.FinishDate'] ||
-        f['Microsoft.VSTS.Scheduling.DueDate']    ||
-        Date.now()
-      );
-      const estMs = (f['Microsoft.VSTS.Scheduling.OriginalEstimate'] || 0) * SIX_H;
-      const start = new Date(finish.getTime() - estMs);
-
-      const rawBillable = f['Custom.Billable'];
-      const missing = {
-        dueDate: !f['Microsoft.VSTS.Scheduling.DueDate'] && !f['Microsoft.VSTS.Scheduling.FinishDate'],
-        effort: !(f['Microsoft.VSTS.Scheduling.OriginalEstimate'] > 0),
-        billable: rawBillable == null
-      };
+  const rawBillable = f[FIELDS.billable];
 
-      const row = {
-        id: w.id,
-        name: f['System.Title'],
-        type: f['System.WorkItemType'],
-        state: f['System.State'],
-        parent: pLookup.get(w.id) ?? null,
-        assignedTo: f['System.AssignedTo']?.displayName || f['System.AssignedTo'] || '',
-        start, finish,
-        est: f['Microsoft.VSTS.Scheduling.OriginalEstimate'] || 0,
-        done: f['Microsoft.VSTS.Scheduling.CompletedWork']   || 0,
-        billable: rawBillable == null
-          ? null
-          : (typeof rawBillable === 'string'
-            ? ['yes', 'true'].includes(rawBillable.toLowerCase())
-            : !!rawBillable),
-        missing
-      };
-      trace('[gantt] row', row.id, row.name, 'parent', row.parent, 'start', row.start, 'finish', row.finish);
-      return row;
-    });
-    // --- compute weekly completed hours --------------------------------------
-    const taskRows = rows.filter(r => r.type === 'Task');
-    await Promise.all(taskRows.map(async r => {
-      r.doneWeek = await completedWorkThisWeek(r.id, r.done);
-    }));
-
-    // --- aggregate phase dates ----------------------------------------------
-    const phaseRe = /^P[1-9]\./i;
-    for (const phase of rows.filter(r => phaseRe.test(r.name))) {
-      const children = rows.filter(t => t.parent === phase.id);
-      if (!children.length) continue;
-      phase.start = new Date(Math.min(...children.map(c => c.start?.getTime())));
-      phase.finish = new Date(Math.max(...children.map(c => c.finish?.getTime())));
-      trace('[gantt] phase aggregated', phase.id, phase.name, 'start', phase.start, 'finish', phase.finish, 'children', children.length);
-    }
+  const row = {
+    id: w.id,
+    name: f['System.Title'],
+    type: f['System.WorkItemType'],
+    state: f['System.State'],
+    rev: f['System.Rev'],
+    parent: null,                      // filled from the link table
+    assignedTo: f['System.AssignedTo']?.displayName || f['System.AssignedTo'] || '',
+    team: f['System.TeamProject'],
+    start, finish,
+    dated: !!(f[FIELDS.finishDate] || f[FIELDS.dueDate]),   // finish is a fallback otherwise
+    est: f[FIELDS.originalEstimate] || 0,
+    done: f[FIELDS.completedWork]    || 0,
+    billable: rawBillable == null
+      ? null
+      : (typeof rawBillable === 'string'
+        ? ['yes', 'true'].includes(rawBillable.toLowerCase())
+        : !!rawBillable)
+  };
+  trace('[gantt] row', row.id, row.name, 'start', row.start, 'finish', row.finish);
+  return row;
+}
 
-    /* 4️⃣ depth-first order */
-    const bucket = {};
-    rows.forEach(r => (bucket[r.parent ?? 'root'] ??= []).push(r));
+/**
+ * (Re)load the work items below `rootId`. With a previous snapshot only
+ * items whose revision moved are read in full; the rest is reused.
+ * @param {number} rootId
+ * @param {object} [prev] - Snapshot returned by an earlier call.
+ * @returns {Promise<{ids: number[], parents: Map, items: Map, links: object[], stats: object}>}
+ */
+async function refreshGanttTree(rootId, prev) {
+  /* 1️⃣ fetch hierarchy links */
+  const wiqlText = wiql`
+    SELECT [System.Id]
+    FROM WorkItemLinks
+    WHERE
+      [Source].[System.Id] = ${workItemId(rootId)}
+      AND [System.Links.LinkType] = 'System.LinkTypes.Hierarchy-Forward'
+      AND [Target].[System.WorkItemType] IN (${TYPES.hierarchy})
+    MODE (Recursive)`;
 
-    // parent rows shouldn't report missing info if they have children
-    for (const [pid, kids] of Object.entries(bucket)) {
-      if (pid === 'root' || !kids.length) continue;
-      const parent = rows.find(r => r.id === Number(pid));
-      if (parent) parent.missing = { dueDate: false, effort: false, billable: false };
-    }
+  const linkRes = await runWiql(wiqlText);
+  trace('[gantt] link relations', (linkRes.workItemRelations || []).length);
+  const ids = [...new Set([rootId, ...(linkRes.workItemRelations || [])
+    .filter(r => r.target)
+    .map(r => r.target.id)])];
+  trace('[gantt] linkIds', ids.length);
 
-    function dfs(pid, out = [], d = 0) {
-      (bucket[pid] || []).forEach(r => { r.depth = d; out.push(r); dfs(r.id, out, d + 1); });
-      return out;
-    }
+  // some rows have only source (no target) – guard against nulls
+  const parents = new Map(
+    (linkRes.workItemRelations || [])
+      .filter(r => r.target && r.source)          // 👈 extra safety
+      .map(r => [r.target.id, r.source.id])
+  );
 
-    const ordered = dfs('root');
-    trace('[gantt] returning', ordered.length, 'rows');
-    res.json(ordered);
+  const links = await readDependencyLinks(ids);
 
-  } catch (err) {
-    console.error('[gantt] AXIOS error\n', err.toJSON?.() || err);
-    res.status(500).json({ error: 'Azure DevOps fetch failed', detail: err.message });
+  /* 2️⃣ cheap revision check, then full read of what moved (≤200 per call) */
+  let changed = ids;
+  const revs = new Map();
+  if (prev) {
+    for (let i = 0; i < ids.length; i += 200) {
+      const batch = await readWorkItems(ids.slice(i, i + 200), ['System.Id', 'System.Rev', 'System.ChangedDate']);
+      batch.forEach(w => revs.set(w.id, revOf(w.fields)));
+    }
+    changed = ids.filter(id => prev.items.get(id)?.rev !== revs.get(id));
   }
-});
+  trace('[gantt] changed items', changed.length, 'of', ids.length);
 
+  const items = new Map();
+  const fresh = [];
+  for (let i = 0; i < changed.length; i += 200) {
+    const chunk = changed.slice(i, i + 200);
+    trace('[gantt] reading batch', i / 200 + 1, chunk.length, 'ids');
+    fresh.push(...await readWorkItems(chunk, TREE_FIELDS));
+  }
+  for (const w of fresh) {
+    items.set(w.id, { rev: revOf(w.fields), row: mapTreeRow(w), doneWeekAt: 0 });
+  }
+  for (const id of ids) {
+    if (!items.has(id) && prev?.items.has(id)) items.set(id, prev.items.get(id));
+  }
 
+  // --- compute weekly completed hours --------------------------------------
+  const now = Date.now();
+  const due = [...items.values()]
+    .filter(it => it.row.type === TYPES.task && now - it.doneWeekAt > DONE_WEEK_TTL_MS);
+  await mapLimit(due, TREE_CONCURRENCY, async it => {
+    it.row.doneWeek = await completedWorkThisWeek(it.row.id, it.row.done, it.row.rev);
+    it.doneWeekAt = now;
+  });
 
-// GET /api/locations?team=xxx - list of Location work items
-app.get('/api/locations', async (req, res) => {
-  const team = req.query.team || ADO_PROJECT;
-  trace('[GET /api/locations] team', team);
+  return {
+    ids: ids.filter(id => items.has(id)),
+    parents,
+    items,
+    links,
+    stats: { items: ids.length, fetched: fresh.length, doneWeekRefreshed: due.length }
+  };
+}
 
-  try {
-    const wiql = `
-      SELECT [System.Id], [System.Title]
-      FROM WorkItems
-      WHERE [System.WorkItemType] = 'Location'
-        AND [System.TeamProject] = '${team}'
-        AND [System.State] <> 'Closed'`;
+/**
+ * Turn a snapshot into the flattened, depth-first ordered rows sent to the
+ * browser, annotated with float / critical path. Rows are copied so the
+ * cached snapshot stays untouched.
+ * @returns {{rows: object[], links: object[], critical: object}}
+ */
+function buildGanttTree(snapshot) {
+  const rows = snapshot.ids.map(id => ({
+    ...snapshot.items.get(id).row,
+    parent: snapshot.parents.get(id) ?? null,
+    problems: []
+  }));
 
-    const result = await runWiql(wiql);
-    trace('[GET /api/locations] WIQL returned', result.workItems.length, 'items');
-    const ids = result.workItems.map(w => w.id);
-    const batch = await readWorkItems(ids, ['System.Id', 'System.Title']);
-    trace('[GET /api/locations] batch returned', batch.length, 'items');
-    const list = batch.map(w => ({ id: w.id.toString(), title: w.fields['System.Title'] }));
-    res.json(list);
-  } catch (err) {
-    console.error('[/api/locations] ERROR', err?.response?.data || err.message || err);
-    res.status(500).json({ error: 'location list failed' });
+  // --- data quality, on the dates as planned (before phase aggregation) ----
+  const byId = new Map(rows.map(r => [r.id, r]));
+  for (const { id, rule, severity, message } of checkQuality(rows, config)) {
+    byId.get(id).problems.push({ rule, severity, message });
   }
-});
 
-// GET /api/projects?location=xxx&team=yyy - list of Project work items
-app.get('/api/projects', async (req, res) => {
-  const locationTitle = req.query.location;
-  const team = req.query.team;
-  if (!locationTitle || !team) {
-    return res.status(400).json({ error: 'Missing location or team' });
+  // --- aggregate phase dates ----------------------------------------------
+  for (const phase of rows.filter(r => phaseKey(r.name, config) != null)) {
+    const children = rows.filter(t => t.parent === phase.id);
+    if (!children.length) continue;
+    phase.start = new Date(Math.min(...children.map(c => c.start?.getTime())));
+    phase.finish = new Date(Math.max(...children.map(c => c.finish?.getTime())));
+    trace('[gantt] phase aggregated', phase.id, phase.name, 'start', phase.start, 'finish', phase.finish, 'children', children.length);
   }
-  trace('[GET /api/projects] team', team, 'location', locationTitle);
 
-  try {
-    const wiql = `
-      SELECT [System.Id]
-      FROM WorkItemLinks
-      WHERE [Source].[System.WorkItemType] = 'Location'
-        AND [Source].[System.Title] = '${locationTitle}'
-        AND [System.Links.LinkType] = 'System.LinkTypes.Hierarchy-Forward'
-      MODE (Recursive)`;
+  /* 4️⃣ depth-first order */
+  const bucket = {};
+  rows.forEach(r => (bucket[r.parent ?? 'root'] ??= []).push(r));
 
-    const linkResult = await runWiql(wiql);
-    trace('[GET /api/projects] link relations', (linkResult.workItemRelations || []).length);
-    const ids = (linkResult.workItemRelations || [])
-      .map(link => link.target?.id)
-      .filter(Boolean);
+  function dfs(pid, out = [], d = 0) {
+    (bucket[pid] || []).forEach(r => { r.depth = d; out.push(r); dfs(r.id, out, d + 1); });
+    return out;
+  }
 
-    if (!ids.length) return res.json([]);
+  const ordered = dfs('root');
+  const critical = analyzeCriticalPath(ordered, snapshot.links, calendar, config);
+  trace('[gantt] returning', ordered.length, 'rows', snapshot.links.length, 'links',
+    critical.taskIds.length, 'critical');
+  return { rows: ordered, links: snapshot.links, critical };
+}
 
-    const allResults = [];
-    for (let i = 0; i < ids.length; i += 200) {
-      const chunk = ids.slice(i, i + 200);
-      trace('[GET /api/projects] reading batch', i / 200 + 1, chunk.length);
-      const batch = await readWorkItems(chunk, [
-        'System.Id',
-        'System.Title',
-        'System.State',
-        'System.WorkItemType',
-        'Microsoft.VSTS.Scheduling.OriginalEstimate',
-        'Microsoft.VSTS.Scheduling.CompletedWork'
-      ]);
-      trace('[GET /api/projects] batch returned', batch.length);
-      allResults.push(...batch);
-    }
+// --- live updates ------------------------------------------------------------
+// Browsers watching a tree over /api/events, as { org, rootId, res }
+const subscribers = new Set();
 
-    const list = allResults
-      .filter(w => w.fields['System.WorkItemType'] === 'Project')
-      .map(w => {
-        const f = w.fields;
-        return {
-          id: w.id.toString(),
-          title: f['System.Title'],
-          state: f['System.State'],
-          est: f['Microsoft.VSTS.Scheduling.OriginalEstimate'] || 0,
-          done: f['Microsoft.VSTS.Scheduling.CompletedWork'] || 0
-        };
-      });
+function watched(org, rootId) {
+  return [...subscribers].filter(s => s.org === org && s.rootId === rootId);
+}
 
-    trace('[GET /api/projects] returning', list.length, 'projects');
-    res.json(list);
-  } catch (err) {
-    console.error('[/api/projects] Caught error:', err?.response?.data || err.message || err);
-    if (!res.headersSent) res.status(500).json({ error: 'project list failed' });
+/** Rows that differ between two snapshots of one tree */
+function treeChanges(prev, next) {
+  const before = buildGanttTree(prev);
+  const after = buildGanttTree(next);
+  const old = new Map(before.rows.map(r => [r.id, JSON.stringify(r)]));
+  const ids = new Set(after.rows.map(r => r.id));
+  return {
+    rows: after.rows.filter(r => old.get(r.id) !== JSON.stringify(r)),
+    removed: before.rows.filter(r => !ids.has(r.id)).map(r => r.id),
+    links: JSON.stringify(before.links) === JSON.stringify(after.links) ? null : after.links,
+    critical: after.critical
+  };
+}
+
+/** Push what a refresh changed to everyone watching that tree */
+function publishTreeChanges(org, rootId, snapshot, prev) {
+  const targets = watched(org, rootId);
+  if (!targets.length || !prev) return;
+  const changes = treeChanges(prev, snapshot);
+  if (!changes.rows.length && !changes.removed.length && !changes.links) return;
+  trace('[events] tree', rootId, changes.rows.length, 'changed', changes.removed.length, 'removed ➜',
+    targets.length, 'browsers');
+  const message = `event: tree\ndata: ${JSON.stringify({ rootId, ...changes })}\n\n`;
+  targets.forEach(s => s.res.write(message));
+}
+
+// work item ids are only unique within an organisation
+const treeCaches = new Map(ORGS.map(org => [org, createCache({
+  refresh: refreshGanttTree,
+  maxAgeMs: Number(TREE_CACHE_MAX_AGE_S) * 1000,
+  maxEntries: Number(TREE_CACHE_MAX_ENTRIES),
+  log: trace,
+  onRefresh: (rootId, snapshot, prev) => publishTreeChanges(org, rootId, snapshot, prev)
+})]));
+
+function treeCache() {
+  return treeCaches.get(currentOrg());
+}
+
+/**
+ * Make cached trees containing any of `ids` reload on their next read;
+ * trees somebody is watching are reloaded right away so the change is
+ * pushed out.
+ */
+function invalidateTrees(...ids) {
+  const wanted = ids.map(Number);
+  const roots = [];
+  treeCache().invalidate((snap, rootId) => {
+    const hit = wanted.some(id => snap.items.has(id));
+    if (hit) roots.push(rootId);
+    return hit;
+  });
+  for (const rootId of roots.filter(r => watched(currentOrg(), r).length)) {
+    treeCache().get(rootId).catch(err => trace('[events] refresh failed', rootId, err.message || err));
   }
-});
+  return roots;
+}
 
-// PATCH /api/task/:id - update a single work item
-app.patch('/api/task/:id', async (req, res) => {
-  const id = req.params.id;
-  trace('[/api/task] incoming PATCH', { id, body: req.body });
+/**
+ * Load the flattened, depth-first ordered work item tree below `rootId`
+ * together with the dependency links between its items, via the cache.
+ * @param {number} rootId
+ * @param {{force?: boolean}} [opts]
+ * @returns {Promise<{rows: object[], links: object[], critical: object, cache: object}>}
+ */
+async function loadGanttTree(rootId, opts) {
+  const { value, cache } = await treeCache().get(rootId, opts);
+  return { ...buildGanttTree(value), cache: { ...cache, ...value.stats } };
+}
 
-  try {
-    let ops = [];
-    if (Array.isArray(req.body)) {
-      ops = req.body;
-    } else {
-      const { name, dueDate, duration, assignedTo, parent, billable } =
-        req.body || {};
+/** Project work items (with est/done totals) below a Location, by title */
+async function listProjects(locationTitle) {
+  const query = wiql`
+    SELECT [System.Id]
+    FROM WorkItemLinks
+    WHERE [Source].[System.WorkItemType] = ${TYPES.location}
+      AND [Source].[System.Title] = ${locationTitle}
+      AND [System.Links.LinkType] = 'System.LinkTypes.Hierarchy-Forward'
+    MODE (Recursive)`;
 
-      if (name) {
-        ops.push({ op: 'add', path: '/fields/System.Title', value: name });
-      }
+  const linkResult = await runWiql(query);
+  trace('[listProjects] link relations', (linkResult.workItemRelations || []).length);
+  const ids = (linkResult.workItemRelations || [])
+    .map(link => link.target?.id)
+    .filter(Boolean);
 
-      const finishIso = dueDate ? new Date(dueDate).toISOString() : null;
-      if (finishIso) {
-        ops.push({
-          op: 'add',
-          path: '/fields/Microsoft.VSTS.Scheduling.DueDate',
-          value: finishIso
-        });
-        ops.push({
-          op: 'add',
-          path: '/fields/Microsoft.VSTS.Scheduling.FinishDate',
-          value: finishIso
-        });
-      }
+  if (!ids.length) return [];
 
-      if (typeof duration === 'number') {
-        ops.push({
-          op: 'add',
-          path: '/fields/Microsoft.VSTS.Scheduling.OriginalEstimate',
-          value: duration
-        });
-        if (finishIso) {
-          const startIso = new Date(
-            new Date(finishIso).getTime() - duration * SIX_HOURS_MS
-          ).toISOString();
-          ops.push({
-            op: 'add',
-            path: '/fields/Microsoft.VSTS.Scheduling.StartDate',
-            value: startIso
-          });
-        }
-      }
+  const allResults = [];
+  for (let i = 0; i < ids.length; i += 200) {
+    const chunk = ids.slice(i, i + 200);
+    trace('[listProjects] reading batch', i / 200 + 1, chunk.length);
+    const batch = await readWorkItems(chunk, [
+      'System.Id',
+      'System.Title',
+      'System.State',
+      'System.WorkItemType',
+      FIELDS.originalEstimate,
+      FIELDS.completedWork
+    ]);
+    trace('[listProjects] batch returned', batch.length);
+    allResults.push(...batch);
+  }
 
-      if (assignedTo) {
-        ops.push({
-          op: 'add',
-          path: '/fields/System.AssignedTo',
-          value: assignedTo
-        });
-      }
+  const list = allResults
+    .filter(w => w.fields['System.WorkItemType'] === TYPES.project)
+    .map(w => {
+      const f = w.fields;
+      return {
+        id: w.id.toString(),
+        title: f['System.Title'],
+        state: f['System.State'],
+        est: f[FIELDS.originalEstimate] || 0,
+        done: f[FIELDS.completedWork] || 0
+      };
+    });
 
-      if (parent) {
-        ops.push({
-          op: 'add',
-          path: '/fields/System.Parent',
-          value: Number(parent)
-        });
-      }
+  return list;
+}
 
-      if (billable != null) {
-        ops.push({ op: 'add', path: '/fields/Custom.Billable', value: billable });
-      }
-    }
+/**
+ * JSON-Patch field operations for the friendly task shape used by the
+ * object form of PATCH /api/task/:id and by POST /api/task.
+ * StartDate is derived from the due date on the team / assignee calendar.
+ */
+/** Why dueDate / duration of a task body cannot be written, or null */
+function fieldInputError({ dueDate, duration } = {}) {
+  if (dueDate && isNaN(new Date(dueDate))) return `Invalid dueDate "${dueDate}"`;
+  if (duration != null && !(Number.isFinite(duration) && duration >= 0)) return `Invalid duration "${duration}"`;
+  return null;
+}
 
-    trace('[/api/task] JSON-Patch operations', ops);
+function fieldOps({ name, dueDate, duration, assignedTo, billable, team } = {}) {
+  const ops = [];
 
-    if (!ops.length) {
-      trace('[/api/task] no changes detected, returning early');
-      return res.json({ ok: true });
-    }
+  if (name) {
+    ops.push({ op: 'add', path: '/fields/System.Title', value: name });
+  }
 
-    const url = `wit/workitems/${id}?api-version=7.0`;
-    trace('[/api/task] PATCH', url);
+  const finishIso = dueDate ? new Date(dueDate).toISOString() : null;
+  if (finishIso) {
+    ops.push({
+      op: 'add',
+      path: `/fields/${FIELDS.dueDate}`,
+      value: finishIso
+    });
+    ops.push({
+      op: 'add',
+      path: `/fields/${FIELDS.finishDate}`,
+      value: finishIso
+    });
+  }
 
-    const { data } = await ado.patch(url, ops, {
-      headers: { 'Content-Type': 'application/json-patch+json' }
+  if (typeof duration === 'number') {
+    ops.push({
+      op: 'add',
+      path: `/fields/${FIELDS.originalEstimate}`,
+      value: duration
     });
+    if (finishIso) {
+      const rules = calendarFor(calendar, { team: team || ADO_PROJECT, person: assignedTo });
+      const startIso = startFromFinish(new Date(finishIso), duration, rules).toISOString();
+      ops.push({
+        op: 'add',
+        path: `/fields/${FIELDS.startDate}`,
+        value: startIso
+      });
+    }
+  }
 
-    trace('[/api/task] Azure DevOps responded with id', data.id);
-    res.json({ ok: true, id: data.id });
+  if (assignedTo) {
+    ops.push({
+      op: 'add',
+      path: '/fields/System.AssignedTo',
+      value: assignedTo
+    });
+  }
+
+  if (billable != null) {
+    ops.push({ op: 'add', path: `/fields/${FIELDS.billable}`, value: billable });
+  }
+
+  return ops;
+}
+
+// --- routes ------------------------------------------------------------------
+// every :rootId ends up in WIQL – reject anything that isn't a work item id
+app.param('rootId', (req, res, next, value) => {
+  try {
+    workItemId(value);
+    next();
   } catch (err) {
-    console.error(
-      '[/api/task] update failed',
-      err?.response?.data || err.message || err
-    );
-    res.status(500).json({ error: 'update failed' });
+    res.status(400).json({ error: err.message });
   }
 });
 
-function calcDates(f) {
-  // 1️⃣ pick a finish date
-  const finish = new Date(
-    f['Microsoft.VSTS.Scheduling.FinishDate'] ||
-    f['Microsoft.VSTS.Scheduling.DueDate']    ||
-    Date.now()
-  );
+// GET /api/gantt/:rootId - flattened work item tree for a project
+// GET /api/gantt/:rootId  – flattened tree for a project (phase → tasks)
+/* -----------------------------------------------------------
+   GET /api/gantt/:rootId
+   ----------------------------------------------------------- */
+app.get('/api/gantt/:rootId', async (req, res) => {
+  const rootId = Number(req.params.rootId);
+  trace('[gantt] rootId', rootId);
 
-  // 2️⃣ estimate duration (hrs ➜ ms)
-  const estHrs = f['Microsoft.VSTS.Scheduling.OriginalEstimate'] || 0;
-  const durationMs = estHrs * SIX_HOURS_MS;
+  try {
+    res.json(await loadGanttTree(rootId, { force: req.query.refresh === '1' }));
+  } catch (err) {
+    console.error('[gantt] AXIOS error\n', err.toJSON?.() || err);
+    res.status(500).json({ error: 'Azure DevOps fetch failed', detail: err.message });
+  }
+});
 
-  // 3️⃣ synthetic start = finish - duration
-  const start = new Date(finish.getTime() - durationMs);
-  trace('[calcDates]', { estHrs, start, finish });
-  return { start, finish };
-}
 
 
+// GET /api/cache - status of every cached gantt tree
+app.get('/api/cache', requireUser, (req, res) => {
+  res.json(treeCache().status());
+});
+
+// POST /api/cache/:rootId/refresh - force a refresh and wait for it
+app.post('/api/cache/:rootId/refresh', requireUser, async (req, res) => {
+  const rootId = Number(req.params.rootId);
+  trace('[POST /api/cache] refresh', rootId);
+  try {
+    const { cache } = await loadGanttTree(rootId, { force: true });
+    res.json(cache);
+  } catch (err) {
+    console.error('[/api/cache] refresh failed', err?.response?.data || err.message || err);
+    res.status(500).json({ error: 'cache refresh failed', detail: err.message });
+  }
+});
+
+// DELETE /api/cache/:rootId - drop a cached tree
+app.delete('/api/cache/:rootId', requireUser, (req, res) => {
+  trace('[DELETE /api/cache]', req.params.rootId);
+  treeCache().evict(Number(req.params.rootId));
+  res.json({ ok: true });
+});
+
+// GET /api/gantt/:rootId/export?format=csv|xlsx|mspdi - download the plan
+const EXPORT_FORMATS = {
+  csv: { ext: 'csv', type: 'text/csv; charset=utf-8' },
+  xlsx: { ext: 'xlsx', type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  mspdi: { ext: 'xml', type: 'application/xml; charset=utf-8' }
+};
+
+app.get('/api/gantt/:rootId/export', async (req, res) => {
+  const rootId = Number(req.params.rootId);
+  const format = req.query.format || 'csv';
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) {
+    return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  trace('[export] root', rootId, 'format', format);
+
+  try {
+    const { rows, links } = await loadGanttTree(rootId);
+    const title = rows.find(r => r.id === rootId)?.name || `Plan ${rootId}`;
+    const body = format === 'csv'
+      ? toCsv(rows)
+      : format === 'xlsx'
+        ? Buffer.from(await toXlsx(rows, { title }))
+        : toMspdi(rows, links, { title, hoursPerDay: calendar.hoursPerDay });
+    res.type(spec.type);
+    res.attachment(`plan-${rootId}.${spec.ext}`);
+    res.send(body);
+  } catch (err) {
+    console.error('[export] failed', err?.response?.data || err.message || err);
+    res.status(500).json({ error: 'export failed' });
+  }
+});
+
+// GET /api/gantt/:rootId/burn?from=YYYY-MM-DD - daily done / estimate / remaining
+app.get('/api/gantt/:rootId/burn', async (req, res) => {
+  const rootId = Number(req.params.rootId);
+  const from = req.query.from ? new Date(req.query.from) : undefined;
+  if (from && isNaN(from)) {
+    return res.status(400).json({ error: 'Invalid from' });
+  }
+  trace('[burn] root', rootId, 'from', from);
+
+  try {
+    const { rows } = await loadGanttTree(rootId);
+    const burn = buildBurn(rows, await readTaskUpdates(rows), { from, config });
+    trace('[burn]', burn.days.length, 'days', burn.phases.length, 'phases', burn.projection);
+    res.json(burn);
+  } catch (err) {
+    console.error('[burn] failed', err?.response?.data || err.message || err);
+    res.status(500).json({ error: 'burn chart failed' });
+  }
+});
+
+// GET /api/gantt/:rootId/budget - sold / estimated / consumed hours per project
+// and phase, billable split and estimate at completion from the recent burn rate
+app.get('/api/gantt/:rootId/budget', async (req, res) => {
+  const rootId = Number(req.params.rootId);
+  trace('[budget] root', rootId);
+
+  try {
+    const { rows } = await loadGanttTree(rootId);
+    const budget = buildBudget(rows, await readTaskUpdates(rows), { config });
+    trace('[budget]', budget.projects.length, 'projects', budget.phases.length, 'phases', budget.total.forecast);
+    res.json(budget);
+  } catch (err) {
+    console.error('[budget] failed', err?.response?.data || err.message || err);
+    res.status(500).json({ error: 'budget failed' });
+  }
+});
+
+// GET /api/gantt/:rootId/schedule?from=YYYY-MM-DD - proposed dates for the open
+// tasks, levelled against each assignee's capacity (preview only; the browser
+// applies them through PATCH /api/task/:id)
+app.get('/api/gantt/:rootId/schedule', async (req, res) => {
+  const rootId = Number(req.params.rootId);
+  let from = new Date();
+  if (req.query.from) {
+    from = localDay(req.query.from);
+    if (isNaN(from)) return res.status(400).json({ error: 'Invalid from' });
+  }
+  trace('[schedule] root', rootId, 'from', from);
+
+  try {
+    const { rows, links } = await loadGanttTree(rootId);
+    const schedule = autoSchedule(rows, links, { cal: calendar, config, from });
+    trace('[schedule]', schedule.tasks.length, 'tasks', schedule.tasks.filter(t => t.late).length, 'late',
+      schedule.cycles.length, 'on cycles');
+    res.json(schedule);
+  } catch (err) {
+    console.error('[schedule] failed', err?.response?.data || err.message || err);
+    res.status(500).json({ error: 'auto-schedule failed' });
+  }
+});
+
+// --- baselines -----------------------------------------------------------------
+// Stored per `org:rootId` as { id, name, createdAt, rows: [{ id, name, start, finish, est, done }] }
+const baselineKey = rootId => `${currentOrg()}:${rootId}`;
+
+// GET /api/gantt/:rootId/baselines - saved baselines (without rows)
+app.get('/api/gantt/:rootId/baselines', async (req, res) => {
+  const rootId = req.params.rootId;
+  try {
+    const all = await baselineStore.read();
+    res.json((all[baselineKey(rootId)] || []).map(({ rows, ...b }) => ({ ...b, rowCount: rows.length })));
+  } catch (err) {
+    console.error('[/api/baselines] list failed', err.message || err);
+    res.status(500).json({ error: 'baseline list failed' });
+  }
+});
+
+// POST /api/gantt/:rootId/baselines { name } - snapshot the current plan
+app.post('/api/gantt/:rootId/baselines', requireUser, async (req, res) => {
+  const rootId = Number(req.params.rootId);
+  const name = String(req.body?.name || '').trim();
+  if (!name) {
+    return res.status(400).json({ error: 'Missing name' });
+  }
+  trace('[POST /api/baselines] root', rootId, 'name', name);
+
+  try {
+    // always baseline what ADO has right now, not a stale cache entry
+    const { rows } = await loadGanttTree(rootId, { force: true });
+    const baseline = {
+      id: randomUUID(),
+      name,
+      createdAt: new Date().toISOString(),
+      rows: rows.map(r => ({
+        id: r.id, name: r.name, start: r.start, finish: r.finish, est: r.est, done: r.done
+      }))
+    };
+    await baselineStore.update(all => {
+      (all[baselineKey(rootId)] ??= []).push(baseline);
+    });
+    trace('[POST /api/baselines] saved', baseline.id, baseline.rows.length, 'rows');
+    const { rows: _rows, ...summary } = baseline;
+    res.status(201).json({ ...summary, rowCount: baseline.rows.length });
+  } catch (err) {
+    console.error('[/api/baselines] save failed', err?.response?.data || err.message || err);
+    res.status(500).json({ error: 'baseline save failed' });
+  }
+});
+
+// GET /api/gantt/:rootId/baselines/:id - one baseline including rows
+app.get('/api/gantt/:rootId/baselines/:id', async (req, res) => {
+  try {
+    const all = await baselineStore.read();
+    const baseline = (all[baselineKey(req.params.rootId)] || []).find(b => b.id === req.params.id);
+    if (!baseline) return res.status(404).json({ error: 'Baseline not found' });
+    res.json(baseline);
+  } catch (err) {
+    console.error('[/api/baselines] read failed', err.message || err);
+    res.status(500).json({ error: 'baseline read failed' });
+  }
+});
+
+// DELETE /api/gantt/:rootId/baselines/:id
+app.delete('/api/gantt/:rootId/baselines/:id', requireUser, async (req, res) => {
+  const { rootId, id } = req.params;
+  trace('[DELETE /api/baselines] root', rootId, 'id', id);
+  try {
+    let found = false;
+    await baselineStore.update(all => {
+      const key = baselineKey(rootId);
+      const list = all[key] || [];
+      found = list.some(b => b.id === id);
+      all[key] = list.filter(b => b.id !== id);
+    });
+    if (!found) return res.status(404).json({ error: 'Baseline not found' });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[/api/baselines] delete failed', err.message || err);
+    res.status(500).json({ error: 'baseline delete failed' });
+  }
+});
+
+// --- what-if scenarios ------------------------------------------------------------
+// Named drafts of edits to one tree, kept in data/scenarios.json and shared
+// by id. Each staged item keeps the revision it was edited on plus the
+// normalised JSON-Patch operations, merged by path (last edit wins).
+
+function scenarioSummary({ items, ...s }) {
+  return { ...s, itemCount: Object.keys(items).length };
+}
+
+/** Scenario `id` of the current organisation, or null */
+async function readScenario(id) {
+  const s = (await scenarioStore.read())[id];
+  return s?.org === currentOrg() ? s : null;
+}
+
+/** Live value next to the draft value of every staged field */
+async function scenarioDiff(scenario) {
+  const ids = Object.keys(scenario.items).map(Number);
+  if (!ids.length) return [];
+  const refs = [...new Set(Object.values(scenario.items)
+    .flatMap(i => i.ops.filter(o => o.path.startsWith('/fields/')).map(o => o.path.slice('/fields/'.length))))];
+  const live = new Map();
+  for (let i = 0; i < ids.length; i += 200) {
+    const batch = await readWorkItems(ids.slice(i, i + 200), ['System.Id', 'System.Title', 'System.Rev', ...refs]);
+    batch.forEach(w => live.set(w.id, w.fields));
+  }
+  return ids.map(id => {
+    const { rev, ops } = scenario.items[id];
+    const f = live.get(id);
+    return {
+      id,
+      name: f?.['System.Title'] ?? null,
+      rev,
+      liveRev: f?.['System.Rev'] ?? null,   // null: gone from ADO
+      fields: ops.filter(o => o.path.startsWith('/fields/')).map(o => {
+        const field = o.path.slice('/fields/'.length);
+        return { field, live: writableValue(f?.[field]) ?? null, draft: o.op === 'remove' ? null : o.value };
+      })
+    };
+  });
+}
+
+// GET /api/scenarios?root=123 - scenarios of the organisation (of one tree)
+app.get('/api/scenarios', async (req, res) => {
+  try {
+    const root = req.query.root ? workItemId(req.query.root) : null;
+    const list = Object.values(await scenarioStore.read())
+      .filter(s => s.org === currentOrg() && (!root || s.rootId === root))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    res.json(list.map(scenarioSummary));
+  } catch (err) {
+    if (err instanceof WiqlError) return res.status(400).json({ error: err.message });
+    console.error('[/api/scenarios] list failed', err.message || err);
+    res.status(500).json({ error: 'scenario list failed' });
+  }
+});
+
+// POST /api/scenarios { root, name } - start an empty scenario
+app.post('/api/scenarios', requireUser, async (req, res) => {
+  const name = String(req.body?.name || '').trim();
+  if (!name) return res.status(400).json({ error: 'Missing name' });
+  let rootId;
+  try {
+    rootId = workItemId(req.body?.root);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  trace('[POST /api/scenarios] root', rootId, 'name', name);
+
+  const now = new Date().toISOString();
+  const scenario = {
+    id: randomUUID(),
+    name,
+    org: currentOrg(),
+    rootId,
+    createdAt: now,
+    createdBy: { id: req.session.user.id, name: req.session.user.name },
+    updatedAt: now,
+    items: {}
+  };
+  try {
+    await scenarioStore.update(all => { all[scenario.id] = scenario; });
+    res.status(201).json(scenarioSummary(scenario));
+  } catch (err) {
+    console.error('[/api/scenarios] save failed', err.message || err);
+    res.status(500).json({ error: 'scenario save failed' });
+  }
+});
+
+// GET /api/scenarios/:id - staged items plus their diff against live ADO data
+app.get('/api/scenarios/:scenarioId', async (req, res) => {
+  try {
+    const scenario = await readScenario(req.params.scenarioId);
+    if (!scenario) return res.status(404).json({ error: 'Scenario not found' });
+    res.json({ ...scenario, diff: await scenarioDiff(scenario) });
+  } catch (err) {
+    console.error('[/api/scenarios] read failed', err?.response?.data || err.message || err);
+    res.status(500).json({ error: 'scenario read failed' });
+  }
+});
+
+// PATCH /api/scenarios/:id/items/:itemId [JSON-Patch] - stage edits of one item
+// (a leading `test /rev` records the revision the edit was made on)
+app.patch('/api/scenarios/:scenarioId/items/:itemId', requireUser, async (req, res) => {
+  let id, ops;
+  try {
+    id = workItemId(req.params.itemId);
+    ops = normalizePatch(req.body, config);
+    if (!ops.some(o => o.op !== 'test')) {
+      throw new PatchError([{ op: null, path: null, field: null, message: 'no field changes to stage' }]);
+    }
+  } catch (err) {
+    if (err instanceof PatchError) return res.status(400).json({ error: 'invalid patch', errors: err.errors });
+    return res.status(400).json({ error: err.message });
+  }
+  const rev = ops.find(o => o.op === 'test' && o.path === '/rev')?.value ?? null;
+  const edits = ops.filter(o => o.op !== 'test');
+  trace('[PATCH /api/scenarios] scenario', req.params.scenarioId, 'item', id, 'ops', edits.length);
+
+  try {
+    let found = false;
+    let summary;
+    await scenarioStore.update(all => {
+      const s = all[req.params.scenarioId];
+      if (s?.org !== currentOrg()) return;
+      found = true;
+      const item = s.items[id] ??= { rev, ops: [] };
+      item.rev ??= rev;
+      const byPath = new Map(item.ops.map(o => [o.path, o]));
+      edits.forEach(o => byPath.set(o.path, o));
+      item.ops = [...byPath.values()];
+      s.updatedAt = new Date().toISOString();
+      summary = scenarioSummary(s);
+    });
+    if (!found) return res.status(404).json({ error: 'Scenario not found' });
+    res.json(summary);
+  } catch (err) {
+    console.error('[/api/scenarios] stage failed', err.message || err);
+    res.status(500).json({ error: 'scenario update failed' });
+  }
+});
+
+// DELETE /api/scenarios/:id/items/:itemId - drop the staged edits of one item
+app.delete('/api/scenarios/:scenarioId/items/:itemId', requireUser, async (req, res) => {
+  try {
+    let found = false;
+    await scenarioStore.update(all => {
+      const s = all[req.params.scenarioId];
+      if (s?.org !== currentOrg() || !s.items[req.params.itemId]) return;
+      found = true;
+      delete s.items[req.params.itemId];
+      s.updatedAt = new Date().toISOString();
+    });
+    if (!found) return res.status(404).json({ error: 'Scenario item not found' });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[/api/scenarios] unstage failed', err.message || err);
+    res.status(500).json({ error: 'scenario update failed' });
+  }
+});
+
+// DELETE /api/scenarios/:id
+app.delete('/api/scenarios/:scenarioId', requireUser, async (req, res) => {
+  trace('[DELETE /api/scenarios]', req.params.scenarioId);
+  try {
+    let found = false;
+    await scenarioStore.update(all => {
+      if (all[req.params.scenarioId]?.org !== currentOrg()) return;
+      found = true;
+      delete all[req.params.scenarioId];
+    });
+    if (!found) return res.status(404).json({ error: 'Scenario not found' });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[/api/scenarios] delete failed', err.message || err);
+    res.status(500).json({ error: 'scenario delete failed' });
+  }
+});
+
+/** Error text of one `$batch` response body (a JSON string) */
+function batchError(body) {
+  try {
+    return JSON.parse(body)?.message || String(body);
+  } catch {
+    return String(body || '');
+  }
+}
+
+// POST /api/scenarios/:id/commit - send every staged item to ADO in one
+// $batch call (200 items per call), each guarded by the revision it was
+// staged on. Committed items leave the scenario, failed ones stay.
+app.post('/api/scenarios/:scenarioId/commit', requireUser, async (req, res) => {
+  const scenarioId = req.params.scenarioId;
+  trace('[POST /api/scenarios/commit]', scenarioId);
+  try {
+    const scenario = await readScenario(scenarioId);
+    if (!scenario) return res.status(404).json({ error: 'Scenario not found' });
+    const ids = Object.keys(scenario.items).map(Number);
+    const results = [];
+
+    for (let i = 0; i < ids.length; i += 200) {
+      const chunk = ids.slice(i, i + 200);
+      const before = new Map();
+      const refs = [...new Set(chunk.flatMap(id => scenario.items[id].ops
+        .filter(o => o.path.startsWith('/fields/')).map(o => o.path.slice('/fields/'.length))))];
+      (await readWorkItems(chunk, ['System.Id', ...refs]))
+        .forEach(w => before.set(w.id, Object.fromEntries(refs.map(r => [r, writableValue(w.fields[r])]))));
+
+      const { data } = await ado().post('wit/$batch', chunk.map(id => {
+        const { rev, ops } = scenario.items[id];
+        return {
+          method: 'PATCH',
+          uri: `/_apis/wit/workitems/${id}?api-version=7.0`,
+          headers: { 'Content-Type': 'application/json-patch+json' },
+          body: rev != null ? [{ op: 'test', path: '/rev', value: rev }, ...ops] : ops
+        };
+      }));
+
+      for (const [n, id] of chunk.entries()) {
+        const r = data.value?.[n] || {};
+        if (r.code >= 200 && r.code < 300) {
+          let saved;
+          try {
+            saved = JSON.parse(r.body);
+          } catch (err) {
+            // saved or not, the staged revision guards a retry
+            trace('[POST /api/scenarios/commit] unreadable response for', id, err.message);
+            results.push({ id, ok: false, status: r.code, conflict: false, error: 'unreadable response from ADO' });
+            continue;
+          }
+          const audit = await recordAudit(req, {
+            id, rev: saved.rev, ops: scenario.items[id].ops, before: before.get(id) || {}, action: 'scenario'
+          });
+          results.push({ id, ok: true, rev: saved.rev, changes: audit.changes });
+          continue;
+        }
+        const message = batchError(r.body);
+        const conflict = isRevisionConflict({ response: { status: r.code, data: { message } } });
+        results.push({ id, ok: false, status: r.code ?? null, conflict, error: message || 'no response' });
+      }
+    }
+
+    const committed = results.filter(r => r.ok).map(r => r.id);
+    if (committed.length) {
+      invalidateTrees(...committed);
+      await scenarioStore.update(all => {
+        const s = all[scenarioId];
+        if (!s) return;
+        committed.forEach(id => delete s.items[id]);
+        s.updatedAt = new Date().toISOString();
+      });
+    }
+    trace('[POST /api/scenarios/commit]', committed.length, 'committed', results.length - committed.length, 'failed');
+    res.json({ committed: committed.length, failed: results.length - committed.length, results });
+  } catch (err) {
+    console.error('[/api/scenarios] commit failed', err?.response?.data || err.message || err);
+    res.status(500).json({ error: 'scenario commit failed' });
+  }
+});
+
+/** All projects of one organisation, following continuation tokens */
+async function listAdoProjects(client) {
+  const projects = [];
+  let continuationToken;
+  do {
+    const res = await client.get('projects', {
+      params: { '$top': 500, ...(continuationToken && { continuationToken }) }
+    });
+    projects.push(...(res.data.value || []));
+    continuationToken = res.headers['x-ms-continuationtoken'];
+  } while (continuationToken);
+  return projects;
+}
+
+/** Teams of one project */
+async function listAdoTeams(client, projectId) {
+  const { data } = await client.get(`projects/${projectId}/teams`, { params: { '$top': 500 } });
+  return (data.value || []).map(t => ({ id: t.id, name: t.name }));
+}
+
+// GET /api/teams?teams=1 - projects the PAT can see, per configured organisation
+// (with teams=1 also the teams of every project)
+app.get('/api/teams', async (req, res) => {
+  const withTeams = req.query.teams === '1';
+  trace('[GET /api/teams] orgs', ORGS, 'teams', withTeams);
+
+  const orgs = await Promise.all(ORGS.map(async org => {
+    const client = adoClients.get(org);
+    try {
+      const projects = (await listAdoProjects(client))
+        .map(p => ({ id: p.id, name: p.name }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+      if (withTeams) {
+        await Promise.all(projects.map(async p => { p.teams = await listAdoTeams(client, p.id); }));
+      }
+      trace('[GET /api/teams]', org, projects.length, 'projects');
+      return { org, projects };
+    } catch (err) {
+      // one unreachable organisation shouldn't hide the others
+      console.error('[/api/teams] failed for', org, err?.response?.data || err.message || err);
+      return { org, projects: [], error: 'project list failed' };
+    }
+  }));
+  res.json({ default: { org: ORGS[0], project: ADO_PROJECT }, orgs });
+});
+
+// GET /api/audit?root=123&limit=200 - dashboard changes, newest first
+// (root limits the list to work items currently below that root)
+app.get('/api/audit', async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 200, 2000);
+  const org = currentOrg();
+  trace('[GET /api/audit] root', req.query.root, 'limit', limit);
+
+  try {
+    let ids = null;
+    if (req.query.root) {
+      const { rows } = await loadGanttTree(workItemId(req.query.root));
+      ids = new Set(rows.map(r => r.id));
+    }
+    const entries = await auditLog.list(e => e.org === org && (!ids || ids.has(e.workItem)), limit);
+    res.json(entries);
+  } catch (err) {
+    if (err instanceof WiqlError) return res.status(400).json({ error: err.message });
+    console.error('[/api/audit] failed', err?.response?.data || err.message || err);
+    res.status(500).json({ error: 'audit list failed' });
+  }
+});
+
+// GET /api/quality?root=123 - data-quality problems of a tree, worst first
+app.get('/api/quality', async (req, res) => {
+  trace('[GET /api/quality] root', req.query.root);
+  try {
+    const rootId = workItemId(req.query.root);
+    const { rows } = await loadGanttTree(rootId);
+    const rank = { error: 0, warning: 1, info: 2 };
+    const problems = rows
+      .flatMap(r => r.problems.map(p => ({ id: r.id, name: r.name, ...p })))
+      .sort((a, b) => rank[a.severity] - rank[b.severity]);      // stable: tree order within a severity
+    const rules = Object.fromEntries(Object.entries(QUALITY_RULES)
+      .map(([id, r]) => [id, { title: r.title, severity: config.quality[id] }]));
+    res.json({ root: rootId, counts: countBySeverity(problems), rules, problems });
+  } catch (err) {
+    if (err instanceof WiqlError) return res.status(400).json({ error: err.message });
+    console.error('[/api/quality] failed', err?.response?.data || err.message || err);
+    res.status(500).json({ error: 'quality check failed' });
+  }
+});
+
+/** Open Location work items of a team project */
+async function listLocations(team) {
+  const query = wiql`
+    SELECT [System.Id], [System.Title]
+    FROM WorkItems
+    WHERE [System.WorkItemType] = ${TYPES.location}
+      AND [System.TeamProject] = ${team}
+      AND [System.State] <> 'Closed'`;
+
+  const result = await runWiql(query);
+  trace('[listLocations] WIQL returned', result.workItems.length, 'items');
+  const ids = result.workItems.map(w => w.id);
+  if (!ids.length) return [];
+  const batch = await readWorkItems(ids, ['System.Id', 'System.Title']);
+  trace('[listLocations] batch returned', batch.length, 'items');
+  return batch.map(w => ({ id: w.id.toString(), title: w.fields['System.Title'] }));
+}
+
+// GET /api/locations?team=xxx - list of Location work items
+app.get('/api/locations', async (req, res) => {
+  const team = req.query.team || ADO_PROJECT;
+  if (typeof team !== 'string') {
+    return res.status(400).json({ error: 'team must be a single value' });
+  }
+  trace('[GET /api/locations] team', team);
+
+  try {
+    res.json(await listLocations(team));
+  } catch (err) {
+    if (err instanceof WiqlError) return res.status(400).json({ error: err.message });
+    console.error('[/api/locations] ERROR', err?.response?.data || err.message || err);
+    res.status(500).json({ error: 'location list failed' });
+  }
+});
+
+// GET /api/projects?location=xxx&team=yyy - list of Project work items
+app.get('/api/projects', async (req, res) => {
+  const locationTitle = req.query.location;
+  const team = req.query.team;
+  if (!locationTitle || !team) {
+    return res.status(400).json({ error: 'Missing location or team' });
+  }
+  if (typeof locationTitle !== 'string') {
+    return res.status(400).json({ error: 'location must be a single value' });
+  }
+  trace('[GET /api/projects] team', team, 'location', locationTitle);
+
+  try {
+    const list = await listProjects(locationTitle);
+    trace('[GET /api/projects] returning', list.length, 'projects');
+    res.json(list);
+  } catch (err) {
+    if (err instanceof WiqlError) return res.status(400).json({ error: err.message });
+    console.error('[/api/projects] Caught error:', err?.response?.data || err.message || err);
+    if (!res.headersSent) res.status(500).json({ error: 'project list failed' });
+  }
+});
+
+// GET /api/portfolio?team=yyy&location=xxx - every project of a location (or,
+// without location, of all locations of the team) as one plan with summary
+// totals per project and people booked over capacity across projects
+app.get('/api/portfolio', async (req, res) => {
+  const { team = ADO_PROJECT, location } = req.query;
+  if (typeof team !== 'string' || (location != null && typeof location !== 'string')) {
+    return res.status(400).json({ error: 'team and location must be single values' });
+  }
+  trace('[GET /api/portfolio] team', team, 'location', location || '(all)');
+
+  try {
+    const locations = location ? [location] : (await listLocations(team)).map(l => l.title);
+    const lists = await mapLimit(locations, TREE_CONCURRENCY, listProjects);
+    const projects = [...new Map(lists.flat().map(p => [p.id, p])).values()];
+
+    // one broken tree should not hide the rest of the portfolio
+    const trees = await mapLimit(projects, TREE_CONCURRENCY, async p => {
+      const project = { id: Number(p.id), title: p.title, state: p.state };
+      try {
+        const { rows, links } = await loadGanttTree(project.id);
+        return { project, rows, links };
+      } catch (err) {
+        console.error('[/api/portfolio] tree failed', p.id, err?.response?.data || err.message || err);
+        return { project, error: 'Azure DevOps fetch failed' };
+      }
+    });
+    const portfolio = buildPortfolio(trees, { cal: calendar, team, config });
+    trace('[GET /api/portfolio]', portfolio.projects.length, 'projects', portfolio.rows.length, 'rows',
+      portfolio.conflicts.length, 'conflicts');
+    res.json({ team, location: location || null, ...portfolio });
+  } catch (err) {
+    if (err instanceof WiqlError) return res.status(400).json({ error: err.message });
+    console.error('[/api/portfolio] failed', err?.response?.data || err.message || err);
+    res.status(500).json({ error: 'portfolio failed' });
+  }
+});
+
+/**
+ * Create a work item of `type` (fields as for fieldOps) and link it below
+ * `parent` with a Hierarchy-Reverse relation.
+ * @returns {Promise<number>} id of the new work item
+ */
+async function createWorkItem({ type = TYPES.task, parent, team, ...fields }) {
+  const ops = fieldOps({ ...fields, team });
+  if (parent) {
+    ops.push({
+      op: 'add',
+      path: '/relations/-',
+      value: { rel: 'System.LinkTypes.Hierarchy-Reverse', url: workItemUrl(parent) }
+    });
+  }
+  trace('[createWorkItem] JSON-Patch operations', ops);
+
+  const url = projectApiUrl(team || ADO_PROJECT, `wit/workitems/$${encodeURIComponent(type)}`);
+  const { data } = await ado().post(url, ops, {
+    headers: { 'Content-Type': 'application/json-patch+json' }
+  });
+  trace('[createWorkItem] created', type, data.id);
+  return data.id;
+}
+
+// POST /api/task - create a work item, optionally below a parent
+app.post('/api/task', requireUser, async (req, res) => {
+  const { type = TYPES.task, name, parent } = req.body || {};
+  trace('[POST /api/task] incoming', req.body);
+  if (!name) {
+    return res.status(400).json({ error: 'Missing name' });
+  }
+  if (!TYPES.hierarchy.includes(type)) {
+    return res.status(400).json({ error: `type must be one of ${TYPES.hierarchy.join(', ')}` });
+  }
+  if (parent != null) {
+    try {
+      workItemId(parent);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  }
+  const invalid = fieldInputError(req.body);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  try {
+    const id = await createWorkItem(req.body);
+    if (parent) invalidateTrees(parent);
+    res.status(201).json({ ok: true, id });
+  } catch (err) {
+    console.error('[POST /api/task] create failed', err?.response?.data || err.message || err);
+    res.status(500).json({ error: 'create failed', detail: err?.response?.data?.message });
+  }
+});
+
+/**
+ * Current server state of the fields `ops` wanted to change, for the merge
+ * dialog after a revision conflict.
+ */
+async function readConflict(id, ops) {
+  const { data } = await ado().get(`wit/workitems/${id}`);
+  const f = data.fields;
+  const show = v => v?.displayName ?? v ?? null;
+  return {
+    rev: data.rev,
+    changedBy: show(f['System.ChangedBy']),
+    changedDate: f['System.ChangedDate'],
+    fields: ops
+      .filter(o => o.path.startsWith('/fields/'))
+      .map(o => {
+        const field = o.path.slice('/fields/'.length);
+        return { field, path: o.path, mine: o.value ?? null, theirs: show(f[field]) };
+      })
+  };
+}
+
+/** Field values as they can be written back (identities as unique name) */
+function writableValue(v) {
+  if (v && typeof v === 'object') return v.uniqueName || v.displayName || null;
+  return v ?? null;
+}
+
+/** Current values of the fields touched by `ops`, for the audit log */
+async function readPatchedFields(id, ops) {
+  const refs = ops.filter(o => o.path.startsWith('/fields/')).map(o => o.path.slice('/fields/'.length));
+  if (!refs.length) return {};
+  const { data } = await ado().get(`wit/workitems/${id}`, { params: { fields: refs.join(',') } });
+  return Object.fromEntries(refs.map(r => [r, writableValue(data.fields?.[r])]));
+}
+
+/** Equal for audit purposes – ISO dates compare by instant */
+function sameValue(a, b) {
+  if (a === b) return true;
+  const iso = /^\d{4}-\d\d-\d\dT/;
+  return typeof a === 'string' && typeof b === 'string' && iso.test(a) && iso.test(b) &&
+    new Date(a).getTime() === new Date(b).getTime();
+}
+
+const AUDIT_ACTIONS = ['edit', 'undo', 'redo', 'scenario'];
+
+/**
+ * Append the audit entry of a saved patch; `before` holds the field values
+ * read ahead of it. Failures are only logged – the change is in ADO already.
+ */
+async function recordAudit(req, { id, rev, ops, before, action }) {
+  const audit = {
+    id: randomUUID(),
+    at: new Date().toISOString(),
+    org: currentOrg(),
+    user: req.session.user ? { id: req.session.user.id, name: req.session.user.name } : null,
+    workItem: id,
+    rev,
+    action,
+    changes: ops
+      .filter(o => o.path.startsWith('/fields/'))
+      .map(o => {
+        const field = o.path.slice('/fields/'.length);
+        return { field, from: before[field] ?? null, to: o.op === 'remove' ? null : o.value };
+      })
+      .filter(c => !sameValue(c.from, c.to))
+  };
+  try {
+    await auditLog.append(audit);
+  } catch (err) {
+    console.error('[audit] append failed', err.message || err);
+  }
+  return audit;
+}
+
+// PATCH /api/task/:id - update a single work item
+// ?action=undo|redo marks replays from the UI's undo stack in the audit log.
+// Send `{op: 'test', path: '/rev', value}` first (or `rev` in the object
+// form) to get 409 with the current values instead of overwriting them.
+app.patch('/api/task/:id', requireUser, async (req, res) => {
+  let id;
+  try {
+    id = workItemId(req.params.id);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  trace('[/api/task] incoming PATCH', { id, body: req.body });
+
+  const invalid = Array.isArray(req.body) ? null : fieldInputError(req.body);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  let ops = [];
+  try {
+    if (Array.isArray(req.body)) {
+      ops = normalizePatch(req.body, config);
+    } else {
+      const { parent, rev } = req.body || {};
+      ops = fieldOps(req.body);
+      if (rev != null) ops.unshift(...normalizePatch([{ op: 'test', path: '/rev', value: rev }], config));
+
+      if (parent) {
+        ops.push({
+          op: 'add',
+          path: '/fields/System.Parent',
+          value: Number(parent)
+        });
+      }
+    }
+
+    trace('[/api/task] JSON-Patch operations', ops);
+
+    if (!ops.some(o => o.op !== 'test')) {
+      trace('[/api/task] no changes detected, returning early');
+      return res.json({ ok: true });
+    }
+
+    const before = await readPatchedFields(id, ops);
+    const url = `wit/workitems/${id}?api-version=7.0`;
+    trace('[/api/task] PATCH', url);
+
+    const { data } = await ado().patch(url, ops, {
+      headers: { 'Content-Type': 'application/json-patch+json' }
+    });
+
+    trace('[/api/task] Azure DevOps responded with id', data.id);
+    invalidateTrees(id);
+
+    const action = AUDIT_ACTIONS.includes(req.query.action) ? req.query.action : 'edit';
+    const audit = await recordAudit(req, { id, rev: data.rev, ops, before, action });
+    res.json({ ok: true, id: data.id, rev: data.rev, audit });
+  } catch (err) {
+    if (isRevisionConflict(err)) {
+      trace('[/api/task] revision conflict on', id);
+      invalidateTrees(id);
+      try {
+        return res.status(409).json({ error: 'conflict', ...await readConflict(id, ops) });
+      } catch (readErr) {
+        console.error('[/api/task] reading conflict failed', readErr?.response?.data || readErr.message || readErr);
+        return res.status(409).json({ error: 'conflict', fields: [] });
+      }
+    }
+    if (err instanceof PatchError) {
+      trace('[/api/task] rejected patch', err.message);
+      return res.status(400).json({ error: 'invalid patch', errors: err.errors });
+    }
+    console.error(
+      '[/api/task] update failed',
+      err?.response?.data || err.message || err
+    );
+    // ADO rejects invalid values with 400 – pass its per-field messages on
+    const status = err?.response?.status;
+    if (status >= 400 && status < 500) {
+      return res.status(status).json({ error: 'update rejected', errors: adoFieldErrors(err.response.data) });
+    }
+    res.status(500).json({ error: 'update failed' });
+  }
+});
+
+// --- plan import -------------------------------------------------------------
+// Body: { format: 'csv'|'mspdi', content: '<file text>', team? }
+
+function parsePlan({ format = 'csv', content } = {}) {
+  if (!content) throw new Error('Missing content');
+  if (format === 'mspdi') return parseMspdiPlan(content, TYPES);
+  if (format === 'csv') return parseCsvPlan(content, TYPES);
+  throw new Error('format must be csv or mspdi');
+}
+
+function importSummary(items) {
+  return items.reduce((acc, i) => ({ ...acc, [i.action]: (acc[i.action] || 0) + 1 }),
+    { create: 0, update: 0, match: 0 });
+}
+
+// POST /api/gantt/:rootId/import/preview - what an import would do
+app.post('/api/gantt/:rootId/import/preview', async (req, res) => {
+  const rootId = Number(req.params.rootId);
+  let items;
+  try {
+    items = parsePlan(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  trace('[import/preview] root', rootId, 'items', items.length);
+
+  try {
+    const { rows } = await loadGanttTree(rootId, { force: true });
+    const preview = previewImport(items, rows, rootId);
+    res.json({ summary: importSummary(preview), items: preview });
+  } catch (err) {
+    console.error('[import/preview] failed', err?.response?.data || err.message || err);
+    res.status(500).json({ error: 'import preview failed' });
+  }
+});
+
+// POST /api/gantt/:rootId/import - create / update work items from a plan
+app.post('/api/gantt/:rootId/import', requireUser, async (req, res) => {
+  const rootId = Number(req.params.rootId);
+  const team = req.body?.team || ADO_PROJECT;
+  let items;
+  try {
+    items = parsePlan(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  trace('[import] root', rootId, 'items', items.length);
+
+  try {
+    const { rows } = await loadGanttTree(rootId, { force: true });
+    const preview = previewImport(items, rows, rootId);
+    const idOfKey = new Map();
+    const results = [];
+
+    // items come parent-first, so parents exist before their children
+    for (const item of preview) {
+      const result = { key: item.key, name: item.name, action: item.action, ok: true, id: item.id };
+      const parentId = item.parentKey ? idOfKey.get(item.parentKey) : rootId;
+      try {
+        if (item.action === 'create') {
+          if (!parentId) throw new Error('parent could not be created');
+          result.id = await createWorkItem({
+            type: item.type,
+            name: item.name,
+            parent: parentId,
+            team,
+            dueDate: item.finish ?? undefined,
+            duration: item.est ?? undefined,
+            billable: item.billable ?? undefined,
+            assignedTo: item.assignedTo ?? undefined
+          });
+        } else if (item.action === 'update') {
+          const ops = fieldOps({
+            team,
+            dueDate: item.changes.finish?.to,
+            duration: item.changes.est?.to,
+            billable: item.changes.billable?.to,
+            assignedTo: item.changes.assignedTo?.to
+          });
+          await ado().patch(`wit/workitems/${item.id}`, ops, {
+            headers: { 'Content-Type': 'application/json-patch+json' }
+          });
+        }
+      } catch (err) {
+        result.ok = false;
+        result.error = err?.response?.data?.message || err.message;
+        trace('[import] row failed', item.key, item.name, result.error);
+      }
+      idOfKey.set(item.key, result.ok ? result.id : null);
+      results.push(result);
+    }
+
+    invalidateTrees(rootId);
+    const failed = results.filter(r => !r.ok).length;
+    trace('[import] done', results.length, 'rows', failed, 'failed');
+    res.json({ summary: { ...importSummary(preview), failed }, items: preview, results });
+  } catch (err) {
+    console.error('[import] failed', err?.response?.data || err.message || err);
+    res.status(500).json({ error: 'import failed' });
+  }
+});
+
+// POST /api/link - add a predecessor ➜ successor dependency
+app.post('/api/link', requireUser, async (req, res) => {
+  let source, target;
+  try {
+    source = workItemId(req.body?.source);
+    target = workItemId(req.body?.target);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (source === target) {
+    return res.status(400).json({ error: 'A work item cannot depend on itself' });
+  }
+  trace('[POST /api/link]', source, '➜', target);
+
+  try {
+    const ops = [{
+      op: 'add',
+      path: '/relations/-',
+      value: { rel: DEPENDENCY_FORWARD, url: workItemUrl(target) }
+    }];
+    await ado().patch(`wit/workitems/${source}`, ops, {
+      headers: { 'Content-Type': 'application/json-patch+json' }
+    });
+    invalidateTrees(source, target);
+    res.json({ ok: true, id: `${source}-${target}` });
+  } catch (err) {
+    console.error('[/api/link] add failed', err?.response?.data || err.message || err);
+    res.status(500).json({ error: 'link add failed' });
+  }
+});
+
+// DELETE /api/link/:source/:target - remove a dependency
+app.delete('/api/link/:source/:target', requireUser, async (req, res) => {
+  let source, target;
+  try {
+    source = workItemId(req.params.source);
+    target = workItemId(req.params.target);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  trace('[DELETE /api/link]', source, '➜', target);
+
+  try {
+    // relations can only be removed by index, so look it up first
+    const { data: wi } = await ado().get(`wit/workitems/${source}`, {
+      params: { '$expand': 'relations' }
+    });
+    const index = (wi.relations || []).findIndex(r =>
+      r.rel === DEPENDENCY_FORWARD && Number(r.url.split('/').pop()) === target
+    );
+    if (index < 0) {
+      trace('[DELETE /api/link] relation not found, nothing to do');
+      return res.json({ ok: true });
+    }
+    await ado().patch(`wit/workitems/${source}`, [{ op: 'remove', path: `/relations/${index}` }], {
+      headers: { 'Content-Type': 'application/json-patch+json' }
+    });
+    invalidateTrees(source, target);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[/api/link] delete failed', err?.response?.data || err.message || err);
+    res.status(500).json({ error: 'link delete failed' });
+  }
+});
+
+/** Derive start/finish of a work item from its finish date and estimate */
+function calcDates(f) {
+  // 1️⃣ pick a finish date
+  const finish = new Date(
+    f[FIELDS.finishDate] ||
+    f[FIELDS.dueDate]    ||
+    Date.now()
+  );
+
+  // 2️⃣ estimate duration (working hrs)
+  const estHrs = f[FIELDS.originalEstimate] || 0;
+
+  // 3️⃣ synthetic start = finish - duration, on the team / assignee calendar
+  const rules = calendarFor(calendar, {
+    team: f['System.TeamProject'],
+    person: f['System.AssignedTo']?.displayName || f['System.AssignedTo']
+  });
+  const start = startFromFinish(finish, estHrs, rules);
+  trace('[calcDates]', { estHrs, start, finish });
+  return { start, finish };
+}
+
+
+
+// GET /api/capacity?location=xxx&team=yyy&from=&to=&unit=day|week
+// Workload per assignee across all projects of a location
+app.get('/api/capacity', async (req, res) => {
+  const { location, team = ADO_PROJECT, unit = 'day' } = req.query;
+  if (!location || typeof location !== 'string') {
+    return res.status(400).json({ error: 'Missing location' });
+  }
+  if (!['day', 'week'].includes(unit)) {
+    return res.status(400).json({ error: 'unit must be day or week' });
+  }
+  const from = req.query.from ? localDay(req.query.from) : new Date();
+  const to = req.query.to ? localDay(req.query.to) : new Date(from);
+  if (!req.query.to) to.setDate(to.getDate() + (unit === 'week' ? 12 * 7 : 28));
+  if (isNaN(from) || isNaN(to) || to <= from) {
+    return res.status(400).json({ error: 'Invalid from/to range' });
+  }
+  trace('[GET /api/capacity] location', location, 'team', team, from, '➜', to, unit);
+
+  try {
+    const projects = await listProjects(location);
+    const trees = await mapLimit(projects, TREE_CONCURRENCY, p => loadGanttTree(Number(p.id)));
+    // the same task can hang below several projects – count it once
+    const rows = [...new Map(trees.flatMap(t => t.rows).map(r => [r.id, r])).values()];
+    trace('[GET /api/capacity]', projects.length, 'projects', rows.length, 'rows');
+    res.json(buildCapacity(rows, { cal: calendar, team, from, to, unit, config }));
+  } catch (err) {
+    if (err instanceof WiqlError) return res.status(400).json({ error: err.message });
+    console.error('[/api/capacity] failed', err?.response?.data || err.message || err);
+    res.status(500).json({ error: 'capacity failed' });
+  }
+});
+
+// GET /api/timesheet?from=YYYY-MM-DD&to=YYYY-MM-DD&root=1,2&people=a,b&format=json|csv
+// CompletedWork deltas per revision author over an arbitrary period (to is inclusive)
+app.get('/api/timesheet', async (req, res) => {
+  const roots = String(req.query.root || '').split(',').map(Number).filter(Boolean);
+  const from = localDay(req.query.from);
+  const to = localDay(req.query.to);
+  const people = String(req.query.people || '').split(',').map(p => p.trim()).filter(Boolean);
+  const format = req.query.format || 'json';
+  if (!roots.length) {
+    return res.status(400).json({ error: 'Missing root' });
+  }
+  if (isNaN(from) || isNaN(to) || to < from) {
+    return res.status(400).json({ error: 'Invalid from/to range' });
+  }
+  to.setDate(to.getDate() + 1);
+  trace('[GET /api/timesheet] roots', roots, from, '➜', to, 'people', people);
+
+  try {
+    const trees = await mapLimit(roots, TREE_CONCURRENCY, id => loadGanttTree(id));
+    const rows = [...new Map(trees.flatMap(t => t.rows).map(r => [r.id, r])).values()];
+    const updatesById = await readTaskUpdates(rows);
+    const sheet = buildTimesheet(rows, updatesById, { from, to, people, config });
+    trace('[GET /api/timesheet]', sheet.entries.length, 'entries', sheet.totals.hours, 'h');
+
+    if (format === 'csv') {
+      res.type('text/csv; charset=utf-8');
+      res.attachment(`timesheet-${req.query.from}-${req.query.to}.csv`);
+      return res.send(csvTable(TIMESHEET_COLUMNS, sheet.entries));
+    }
+    res.json({ from: req.query.from, to: req.query.to, ...sheet });
+  } catch (err) {
+    if (err instanceof WiqlError) return res.status(400).json({ error: err.message });
+    console.error('[/api/timesheet] failed', err?.response?.data || err.message || err);
+    res.status(500).json({ error: 'timesheet failed' });
+  }
+});
+
+// GET /api/events?root=123 - Server-Sent Events: `tree` events carry the
+// rows of that tree that changed ({ rootId, rows, removed, links, critical })
+app.get('/api/events', (req, res) => {
+  let rootId;
+  try {
+    rootId = workItemId(req.query.root);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const sub = { org: currentOrg(), rootId, res };
+  subscribers.add(sub);
+  trace('[events] watching', sub.org, rootId, '–', subscribers.size, 'open');
+  const ping = setInterval(() => res.write(': ping\n\n'), 25 * 1000);
+  req.on('close', () => {
+    clearInterval(ping);
+    subscribers.delete(sub);
+  });
+});
+
+// POST /api/hooks/ado - ADO service hook for workitem.created/updated/deleted
+// Configure the subscription with basic auth (password = WEBHOOK_SECRET) or
+// an `X-Planner-Secret` header.
+app.post('/api/hooks/ado', (req, res) => {
+  if (!WEBHOOK_SECRET) return res.status(404).json({ error: 'Not found' });
+  if (!hasSecret(req, WEBHOOK_SECRET)) {
+    return res.status(401).json({ error: 'Invalid secret' });
+  }
+  const event = parseWorkItemEvent(req.body);
+  const org = event?.org ?? ORGS[0];
+  if (!event || !adoClients.has(org)) {
+    trace('[hooks] ignored', req.body?.eventType, event?.org);
+    return res.json({ ok: true, ignored: true });
+  }
+  trace('[hooks]', req.body.eventType, org, event.id, 'related', event.related);
+
+  // the webhook has no session – read with the shared client of its org
+  requestContext.run({ org, session: null }, () => {
+    const roots = invalidateTrees(event.id, ...event.related);
+    res.json({ ok: true, trees: roots });
+  });
+});
+
+// --- sign-in -----------------------------------------------------------------
+function publicSession(session) {
+  return { user: session?.user || null, canEdit: !!session };
+}
+
+// GET /api/auth/me - who is signed in (user: null ➜ read-only)
+app.get('/api/auth/me', (req, res) => {
+  res.json(publicSession(req.session));
+});
+
+// POST /api/auth/login { provider = 'pat', ...credentials } - start a session
+app.post('/api/auth/login', async (req, res) => {
+  const { provider = 'pat', ...body } = req.body || {};
+  const login = providers[provider]?.login;
+  if (!login) {
+    return res.status(400).json({ error: `provider must be one of ${Object.keys(providers).join(', ')}` });
+  }
+
+  try {
+    const org = currentOrg();
+    const { user, credentials } = await login(body, { org, orgUrl: orgUrl(org) });
+    const sid = sessions.create({ user, credentials, org });
+    trace('[auth] signed in', user.name, 'to', org, 'via', provider);
+    res.cookie(SESSION_COOKIE, sid, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      maxAge: Number(SESSION_TTL_H) * 60 * 60 * 1000
+    });
+    res.json(publicSession({ user }));
+  } catch (err) {
+    if (err instanceof AuthError) return res.status(401).json({ error: err.message });
+    console.error('[/api/auth] login failed', err?.response?.data || err.message || err);
+    res.status(500).json({ error: 'login failed' });
+  }
+});
+
+// POST /api/auth/logout
+app.post('/api/auth/logout', (req, res) => {
+  sessions.destroy(readCookie(req, SESSION_COOKIE));
+  res.clearCookie(SESSION_COOKIE);
+  res.json(publicSession(null));
+});
+
+// GET /api/config - work item types, field names and phase rules for the UI
+app.get('/api/config', (req, res) => {
+  res.json(publicConfig(config));
+});
+
+// GET /api/calendar?team=xxx&person=yyy - resolved working calendar
+app.get('/api/calendar', (req, res) => {
+  const team = req.query.team || ADO_PROJECT;
+  const person = req.query.person;
+  trace('[GET /api/calendar] team', team, 'person', person);
+  res.json(serializeRules(calendarFor(calendar, { team, person })));
+});
 
 // catch-all 404 for api routes
 app.use('/api', (req, res) => res.status(404).json({ error: 'Not found' }));
@@ -0,0 +1,60 @@
+// -------------------------------------------------------------
+// lib/auditLog.js - append-only log of changes made from the dashboard
+// (one JSON object per line, never rewritten)
+// -------------------------------------------------------------
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * @typedef {{id: string, at: string, org: string, user: {id: string, name: string}|null,
+ *   workItem: number, rev: number, action: 'edit'|'undo'|'redo'|'scenario',
+ *   changes: Array<{field: string, from: any, to: any}>}} AuditEntry
+ */
+
+/**
+ * @param {string} file - JSON Lines file; its directory is created.
+ */
+export function createAuditLog(file) {
+  let queue = Promise.resolve();
+
+  return {
+    /** Append one entry; appends are queued so lines never interleave */
+    append(entry) {
+      const run = queue.then(async () => {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.appendFile(file, JSON.stringify(entry) + '\n');
+      });
+      queue = run.catch(() => {});
+      return run;
+    },
+
+    /**
+     * Entries matching `filter`, newest first.
+     * @param {(e: AuditEntry) => boolean} [filter]
+     * @param {number} [limit=200]
+     * @returns {Promise<AuditEntry[]>}
+     */
+    async list(filter = () => true, limit = 200) {
+      let text;
+      try {
+        text = await fs.readFile(file, 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      const out = [];
+      const lines = text.split('\n');
+      for (let i = lines.length - 1; i >= 0 && out.length < limit; i--) {
+        if (!lines[i].trim()) continue;
+        let entry;
+        try {
+          entry = JSON.parse(lines[i]);
+        } catch {
+          continue;                      // torn last line after a crash
+        }
+        if (filter(entry)) out.push(entry);
+      }
+      return out;
+    }
+  };
+}
@@ -0,0 +1,84 @@
+// -------------------------------------------------------------
+// lib/auth.js - signed-in users: login providers and an in-memory
+// session store (tokens never touch the disk)
+// -------------------------------------------------------------
+import axios from 'axios';
+import { randomBytes } from 'crypto';
+
+/** Login that failed because of what the user supplied (answered with 401) */
+export class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+/**
+ * Providers turn a login request body into the signed-in user and the
+ * axios options (auth / headers) that act on their behalf. An OAuth / OIDC
+ * provider only has to return the same shape with a bearer header.
+ */
+export const providers = {
+  // Personal access token, checked against the organisation it is used for
+  pat: {
+    async login({ pat } = {}, { orgUrl }) {
+      if (typeof pat !== 'string' || !pat.trim()) throw new AuthError('Missing personal access token');
+      const credentials = { auth: { username: '', password: pat.trim() } };
+      let res;
+      try {
+        res = await axios.get(`${orgUrl}/_apis/connectionData`, credentials);
+      } catch (err) {
+        if ([401, 403].includes(err?.response?.status)) throw new AuthError('Token rejected by Azure DevOps');
+        throw err;
+      }
+      // bad tokens can also come back as 203 with a sign-in page
+      const u = res.status === 200 ? res.data?.authenticatedUser : null;
+      if (!u?.id) throw new AuthError('Token rejected by Azure DevOps');
+      return {
+        user: {
+          id: u.id,
+          name: u.providerDisplayName || u.customDisplayName || '',
+          email: u.properties?.Account?.$value || ''
+        },
+        credentials
+      };
+    }
+  }
+};
+
+/**
+ * Sessions keyed by a random id that travels in an HttpOnly cookie.
+ * Idle sessions expire after `ttlMs`.
+ * @param {{ttlMs: number}} opts
+ */
+export function createSessionStore({ ttlMs }) {
+  const sessions = new Map();   // sid ➜ { user, credentials, org, seenAt }
+
+  function prune(now = Date.now()) {
+    for (const [sid, s] of sessions) {
+      if (now - s.seenAt > ttlMs) sessions.delete(sid);
+    }
+  }
+
+  return {
+    create(data) {
+      prune();
+      const sid = randomBytes(32).toString('base64url');
+      sessions.set(sid, { ...data, seenAt: Date.now() });
+      return sid;
+    },
+    get(sid) {
+      const s = sid && sessions.get(sid);
+      if (!s) return null;
+      if (Date.now() - s.seenAt > ttlMs) {
+        sessions.delete(sid);
+        return null;
+      }
+      s.seenAt = Date.now();
+      return s;
+    },
+    destroy(sid) {
+      sessions.delete(sid);
+    }
+  };
+}
@@ -0,0 +1,169 @@
+// -------------------------------------------------------------
+// lib/budget.js - sold vs. estimated vs. consumed hours with a forecast
+// -------------------------------------------------------------
+import { dayKey } from './calendar.js';
+import { fieldDeltas, valueAt } from './history.js';
+
+// Window used for the burn rate behind the forecast (same as the burn chart)
+const RATE_WINDOW_DAYS = 14;
+
+const round1 = n => Math.round(n * 10) / 10;
+
+// calendar days, not 24 h steps – those slip a day across DST changes
+function addDays(d, n) {
+  const x = new Date(d);
+  x.setDate(x.getDate() + n);
+  return x;
+}
+
+/** Nearest ancestor (or the row itself) matching `test` */
+function ancestor(row, byId, test) {
+  for (let r = row; r; r = byId.get(r.parent)) {
+    if (test(r)) return r;
+  }
+  return null;
+}
+
+function blank(row, sold) {
+  const hours = () => ({ est: 0, done: 0 });
+  return {
+    id: row.id,
+    name: row.name,
+    sold,
+    est: 0,
+    done: 0,
+    remaining: 0,
+    billable: hours(),
+    nonBillable: hours(),
+    unset: hours(),
+    // hours spent / estimated hours finished, both inside the rate window
+    recent: { done: 0, earned: 0 }
+  };
+}
+
+/**
+ * Forecast and overrun warnings of one group. Hours still to spend are the
+ * open estimate scaled by how many hours one estimated hour has cost over
+ * the last RATE_WINDOW_DAYS (1 without recent progress); the finish date
+ * follows from the recent hours per day.
+ */
+function finish(g, now) {
+  const factor = g.recent.earned > 0 ? Math.max(1, g.recent.done / g.recent.earned) : 1;
+  const toGo = g.remaining * factor;
+  const rate = g.recent.done / RATE_WINDOW_DAYS;
+  const eac = g.done + toGo;
+  const projected = !toGo ? dayKey(now) : rate > 0 ? dayKey(addDays(now, Math.ceil(toGo / rate))) : null;
+
+  const warnings = [];
+  if (g.sold) {
+    if (g.done > g.sold) {
+      warnings.push({ severity: 'error', message: `${round1(g.done)} h consumed of ${round1(g.sold)} h sold` });
+    } else if (eac > g.sold) {
+      warnings.push({ severity: 'warning', message: `Forecast ${round1(eac)} h exceeds ${round1(g.sold)} h sold by ${round1(eac - g.sold)} h` });
+    }
+    if (g.est > g.sold) {
+      warnings.push({ severity: 'info', message: `${round1(g.est)} h estimated for ${round1(g.sold)} h sold` });
+    }
+  }
+
+  const hours = h => ({ est: round1(h.est), done: round1(h.done) });
+  return {
+    id: g.id,
+    name: g.name,
+    ...(g.project !== undefined && { project: g.project }),
+    sold: g.sold == null ? null : round1(g.sold),
+    est: round1(g.est),
+    done: round1(g.done),
+    remaining: round1(g.remaining),
+    billable: hours(g.billable),
+    nonBillable: hours(g.nonBillable),
+    unset: hours(g.unset),
+    forecast: {
+      ratePerDay: round1(rate),
+      factor: Math.round(factor * 100) / 100,
+      eac: round1(eac),
+      variance: g.sold == null ? null : round1(g.sold - eac),
+      finish: projected
+    },
+    warnings
+  };
+}
+
+/**
+ * Budget of one tree: sold hours (estimate of the demand items), estimated
+ * and consumed hours of the leaf tasks, split by billable flag, and an
+ * estimate at completion, for the whole tree, each project and each phase.
+ * A phase's own original estimate, when set, counts as its sold hours.
+ * Tasks without a billable flag take the one of the nearest ancestor.
+ *
+ * @param {object[]} rows - Tree rows (one root).
+ * @param {Map<number, object[]>} updatesById - Revision history per task id.
+ * @param {object} opts
+ * @param {object} opts.config - Planner config (types, fields, phaseRe, closedStates).
+ * @param {Date} [opts.now=new Date()]
+ */
+export function buildBudget(rows, updatesById, { config, now = new Date() }) {
+  const { fields, types, phaseRe } = config;
+  const byId = new Map(rows.map(r => [r.id, r]));
+  const parents = new Set(rows.map(r => r.parent).filter(p => p != null));
+  const closed = new Set(config.closedStates.map(s => s.toLowerCase()));
+  const isPhase = r => phaseRe.test(r.name || '');
+  const windowStart = addDays(now, -RATE_WINDOW_DAYS);
+
+  const root = rows.find(r => !byId.has(r.parent)) || rows[0];
+  const soldBelow = row => rows
+    .filter(r => r.type === types.demand && ancestor(r, byId, a => a.id === row.id))
+    .reduce((s, r) => s + (r.est || 0), 0);
+  const total = blank(root, soldBelow(root));
+  const projects = new Map();
+  const phases = new Map();
+
+  for (const task of rows) {
+    if (task.type !== types.task || parents.has(task.id) || isPhase(task)) continue;
+    const project = ancestor(task, byId, r => r.type === types.project || r === root);
+    const phase = ancestor(task, byId, isPhase);
+    if (!projects.has(project.id)) projects.set(project.id, blank(project, soldBelow(project)));
+    if (phase && !phases.has(phase.id)) {
+      phases.set(phase.id, { ...blank(phase, phase.est || null), project: project.id });
+    }
+
+    const billable = ancestor(task, byId, r => r.billable != null)?.billable;
+    const split = billable == null ? 'unset' : billable ? 'billable' : 'nonBillable';
+    const est = task.est || 0;
+    const done = task.done || 0;
+    const remaining = closed.has(String(task.state || '').toLowerCase()) ? 0 : Math.max(0, est - done);
+
+    // progress in the rate window: hours booked and estimate worked off
+    const doneDeltas = fieldDeltas(updatesById.get(task.id), fields.completedWork);
+    const estDeltas = fieldDeltas(updatesById.get(task.id), fields.originalEstimate);
+    const doneBefore = valueAt(doneDeltas, windowStart);
+    const estBefore = estDeltas.length ? valueAt(estDeltas, windowStart) : est;
+    const recentDone = Math.max(0, done - doneBefore);
+    const earned = Math.max(0, Math.min(done, est) - Math.min(doneBefore, estBefore));
+
+    for (const g of [total, projects.get(project.id), phases.get(phase?.id)].filter(Boolean)) {
+      g.est += est;
+      g.done += done;
+      g.remaining += remaining;
+      g[split].est += est;
+      g[split].done += done;
+      g.recent.done += recentDone;
+      g.recent.earned += earned;
+    }
+  }
+
+  // phases and projects in tree order
+  const position = new Map(rows.map((r, i) => [r.id, i]));
+  const ordered = groups => [...groups.values()]
+    .sort((a, b) => position.get(a.id) - position.get(b.id))
+    .map(g => finish(g, now));
+
+  return {
+    root: root.id,
+    asOf: now.toISOString(),
+    windowDays: RATE_WINDOW_DAYS,
+    total: finish(total, now),
+    projects: ordered(projects),
+    phases: ordered(phases)
+  };
+}
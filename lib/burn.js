@@ -0,0 +1,111 @@
+// -------------------------------------------------------------
+// lib/burn.js - daily burnup / burndown series from revision history
+// -------------------------------------------------------------
+import { dayKey } from './calendar.js';
+import { fieldDeltas, valueAt } from './history.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Window used for the burn rate behind the projected completion date
+const RATE_WINDOW_DAYS = 14;
+const MAX_DAYS = 366;
+
+const round1 = n => Math.round(n * 10) / 10;
+
+// calendar days, not 24 h steps – those slip a day across DST changes
+function addDays(d, n) {
+  const x = new Date(d);
+  x.setDate(x.getDate() + n);
+  return x;
+}
+
+function endOfDay(d) {
+  const x = new Date(d);
+  x.setHours(23, 59, 59, 999);
+  return x;
+}
+
+/**
+ * Reconstruct CompletedWork, OriginalEstimate and remaining effort per day
+ * for all tasks below the root and per phase, and project a completion
+ * date from the recent burn rate.
+ *
+ * @param {object[]} rows - Tree rows (one root).
+ * @param {Map<number, object[]>} updatesById - Revision history per task id.
+ * @param {object} opts
+ * @param {Date} [opts.from] - First day; defaults to the first recorded change.
+ * @param {Date} [opts.to=new Date()] - Last day.
+ * @param {object} opts.config - Planner config (types, fields, phaseRe).
+ */
+export function buildBurn(rows, updatesById, { from, to = new Date(), config }) {
+  const { fields, types, phaseRe } = config;
+  const byId = new Map(rows.map(r => [r.id, r]));
+  const phaseOf = task => {
+    for (let r = byId.get(task.parent); r; r = byId.get(r.parent)) {
+      if (phaseRe.test(r.name || '')) return r;
+    }
+    return null;
+  };
+
+  const series = [];
+  let first = Infinity;
+  for (const [id, updates] of updatesById) {
+    const task = byId.get(id);
+    if (!task) continue;
+    const done = fieldDeltas(updates, fields.completedWork);
+    const est = fieldDeltas(updates, fields.originalEstimate);
+    for (const d of [...done, ...est]) first = Math.min(first, d.date.getTime());
+    series.push({ task, phase: phaseOf(task), done, est });
+  }
+
+  const start = new Date(from ?? (Number.isFinite(first) ? first : to));
+  start.setHours(0, 0, 0, 0);
+  if ((to - start) / DAY_MS > MAX_DAYS) {
+    start.setTime(addDays(to, -MAX_DAYS).getTime());
+    start.setHours(0, 0, 0, 0);
+  }
+
+  const days = [];
+  for (let d = start; d <= to; d = addDays(d, 1)) days.push(endOfDay(d));
+
+  const blank = () => ({ done: days.map(() => 0), est: days.map(() => 0) });
+  const total = blank();
+  const phases = new Map();
+  for (const s of series) {
+    const buckets = [total];
+    if (s.phase) {
+      if (!phases.has(s.phase.id)) phases.set(s.phase.id, { id: s.phase.id, name: s.phase.name, ...blank() });
+      buckets.push(phases.get(s.phase.id));
+    }
+    days.forEach((day, i) => {
+      const done = valueAt(s.done, day);
+      const est = valueAt(s.est, day);
+      for (const b of buckets) {
+        b.done[i] += done;
+        b.est[i] += est;
+      }
+    });
+  }
+
+  const finish = b => ({
+    done: b.done.map(round1),
+    est: b.est.map(round1),
+    remaining: b.est.map((e, i) => round1(Math.max(0, e - b.done[i])))
+  });
+
+  // burn rate over the last RATE_WINDOW_DAYS ➜ projected completion
+  const last = days.length - 1;
+  const back = Math.max(0, last - RATE_WINDOW_DAYS);
+  const rate = last > back ? (total.done[last] - total.done[back]) / (last - back) : 0;
+  const remaining = Math.max(0, total.est[last] - total.done[last]);
+  const projectedFinish = !remaining
+    ? dayKey(days[last] || to)
+    : rate > 0 ? dayKey(addDays(to, Math.ceil(remaining / rate))) : null;
+
+  return {
+    days: days.map(dayKey),
+    sold: rows.find(r => r.type === types.demand)?.est || 0,
+    total: finish(total),
+    phases: [...phases.values()].map(p => ({ id: p.id, name: p.name, ...finish(p) })),
+    projection: { ratePerDay: round1(rate), remaining: round1(remaining), finish: projectedFinish }
+  };
+}
@@ -0,0 +1,143 @@
+// -------------------------------------------------------------
+// lib/cache.js - keyed in-process cache with stale-while-refresh
+// -------------------------------------------------------------
+
+/**
+ * Create a cache whose entries are (re)built by `refresh(key, previous)`.
+ * The previous value is handed to `refresh` so it can reuse whatever did
+ * not change. Once an entry exists it is always served immediately; when it
+ * is older than `maxAgeMs` a refresh is started in the background and the
+ * stale value is returned meanwhile. Concurrent refreshes of one key share
+ * a single promise. At most `maxEntries` keys are kept; the one used least
+ * recently is dropped first.
+ *
+ * @param {object} opts
+ * @param {(key: any, previous: any) => Promise<any>} opts.refresh
+ * @param {number} [opts.maxAgeMs=60000]
+ * @param {number} [opts.maxEntries=50]
+ * @param {(...args: any[]) => void} [opts.log]
+ * @param {(key: any, value: any, previous: any) => void} [opts.onRefresh]
+ *   Called after every successful refresh, e.g. to push changes out.
+ */
+export function createCache({ refresh, maxAgeMs = 60 * 1000, maxEntries = 50, log = () => {}, onRefresh }) {
+  const entries = new Map();
+
+  function entryFor(key) {
+    const used = entries.get(key);
+    if (used) {
+      // Map keeps insertion order – re-inserting marks the key as most recent
+      entries.delete(key);
+      entries.set(key, used);
+      return used;
+    }
+    const entry = {
+      key,
+      value: undefined,
+      updatedAt: null,
+      running: null,
+      dirty: false,
+      lastError: null,
+      lastDurationMs: null,
+      refreshCount: 0
+    };
+    entries.set(key, entry);
+    dropLeastRecent(entry);
+    return entry;
+  }
+
+  /** Forget the least recently used keys beyond `maxEntries`, but not while they load */
+  function dropLeastRecent(keep) {
+    for (const entry of entries.values()) {
+      if (entries.size <= maxEntries) break;
+      if (entry.running || entry === keep) continue;
+      log('[cache] drop', entry.key);
+      entries.delete(entry.key);
+    }
+  }
+
+  function startRefresh(entry) {
+    if (entry.running) return entry.running;
+    const started = Date.now();
+    log('[cache] refresh', entry.key);
+    entry.dirty = false;
+    const previous = entry.value;
+    entry.running = refresh(entry.key, previous)
+      .then(value => {
+        entry.value = value;
+        entry.updatedAt = new Date();
+        entry.lastError = null;
+        entry.refreshCount++;
+        try {
+          onRefresh?.(entry.key, value, previous);
+        } catch (err) {
+          log('[cache] onRefresh failed', entry.key, err.message || err);
+        }
+        return value;
+      })
+      .catch(err => {
+        entry.lastError = err.message || String(err);
+        log('[cache] refresh failed', entry.key, entry.lastError);
+        throw err;
+      })
+      .finally(() => {
+        entry.lastDurationMs = Date.now() - started;
+        entry.running = null;
+      });
+    return entry.running;
+  }
+
+  function meta(entry) {
+    return {
+      key: entry.key,
+      updatedAt: entry.updatedAt,
+      stale: !entry.updatedAt || Date.now() - entry.updatedAt.getTime() > maxAgeMs,
+      refreshing: !!entry.running,
+      lastError: entry.lastError,
+      lastDurationMs: entry.lastDurationMs,
+      refreshCount: entry.refreshCount
+    };
+  }
+
+  return {
+    /**
+     * Value for `key`. Waits only for the very first load, when `force` is
+     * set or the entry was invalidated; otherwise stale values are served
+     * while refreshing.
+     * @returns {Promise<{value: any, cache: object}>}
+     */
+    async get(key, { force = false } = {}) {
+      const entry = entryFor(key);
+      if (force || entry.dirty || entry.value === undefined) {
+        await startRefresh(entry);
+        // invalidated while an older refresh was in flight – go again
+        if (entry.dirty) await startRefresh(entry);
+      } else if (meta(entry).stale) {
+        // background refresh – errors are kept in lastError
+        startRefresh(entry).catch(() => {});
+      }
+      return { value: entry.value, cache: meta(entry) };
+    },
+
+    /** Status of one key, or of all keys when omitted */
+    status(key) {
+      if (key !== undefined) return entries.has(key) ? meta(entries.get(key)) : null;
+      return [...entries.values()].map(meta);
+    },
+
+    /**
+     * Mark every entry whose value matches `predicate` as dirty, e.g. after
+     * a write we know about, so the next get waits for fresh data.
+     */
+    invalidate(predicate) {
+      for (const entry of entries.values()) {
+        if (entry.value !== undefined && predicate(entry.value, entry.key)) entry.dirty = true;
+      }
+    },
+
+    /** Drop a key (or everything) so the next get reloads from scratch */
+    evict(key) {
+      if (key === undefined) entries.clear();
+      else entries.delete(key);
+    }
+  };
+}
@@ -0,0 +1,156 @@
+// -------------------------------------------------------------
+// lib/calendar.js - working calendar used to turn effort into dates
+// -------------------------------------------------------------
+import fs from 'fs';
+
+const HOUR_MS = 60 * 60 * 1000;
+// Give up walking the calendar after ~10 years; only hit on broken configs
+const MAX_DAYS = 3660;
+
+const DEFAULTS = {
+  hoursPerDay: 6,
+  workStart: 9,                 // hour of day the working window opens
+  workDays: [1, 2, 3, 4, 5],    // Date#getDay() numbers, 0 = Sunday
+  holidays: {},                 // team ➜ ['YYYY-MM-DD'], '*' applies to all
+  people: {}                    // display name ➜ overrides + `off` dates
+};
+
+/**
+ * Read the calendar config file, falling back to defaults when absent.
+ * Throws on malformed content so a typo does not silently skew every date.
+ * @param {string} file - Path to calendar JSON.
+ */
+export function loadCalendar(file) {
+  if (!fs.existsSync(file)) return { ...DEFAULTS };
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const cal = { ...DEFAULTS, ...raw };
+  checkRules(cal, file);
+  for (const [name, p] of Object.entries(cal.people)) checkRules({ ...cal, ...p }, `${file} (${name})`);
+  return cal;
+}
+
+function checkRules(r, where) {
+  if (!(r.hoursPerDay > 0 && r.hoursPerDay <= 24)) {
+    throw new Error(`${where}: hoursPerDay must be between 0 and 24`);
+  }
+  if (!(r.workStart >= 0 && r.workStart + r.hoursPerDay <= 24)) {
+    throw new Error(`${where}: workStart + hoursPerDay must stay within one day`);
+  }
+  if (!Array.isArray(r.workDays) || !r.workDays.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+    throw new Error(`${where}: workDays must be a list of 0-6`);
+  }
+}
+
+/**
+ * Resolve the rules that apply to one team and (optionally) one person.
+ * @param {object} cal - Result of loadCalendar.
+ * @param {{team?: string, person?: string}} who
+ * @returns {{hoursPerDay: number, workStart: number, workDays: number[], holidays: Set<string>}}
+ */
+export function calendarFor(cal, { team, person } = {}) {
+  const p = (person && cal.people[person]) || {};
+  return {
+    hoursPerDay: p.hoursPerDay ?? cal.hoursPerDay,
+    workStart: p.workStart ?? cal.workStart,
+    workDays: p.workDays ?? cal.workDays,
+    holidays: new Set([
+      ...(cal.holidays['*'] || []),
+      ...((team && cal.holidays[team]) || []),
+      ...(p.off || [])
+    ])
+  };
+}
+
+/** Local YYYY-MM-DD key of a date */
+export function dayKey(d) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+export function isWorkingDay(date, rules) {
+  return rules.workDays.includes(date.getDay()) && !rules.holidays.has(dayKey(date));
+}
+
+/** [open, close] of the working window on the day of `date` */
+function workWindow(date, rules) {
+  const open = new Date(date);
+  open.setHours(0, 0, 0, 0);
+  open.setTime(open.getTime() + rules.workStart * HOUR_MS);
+  return [open, new Date(open.getTime() + rules.hoursPerDay * HOUR_MS)];
+}
+
+/**
+ * Walk back from `finish` until `hours` of working time are consumed.
+ * @param {Date} finish
+ * @param {number} hours - Effort in working hours.
+ * @param {object} rules - Result of calendarFor.
+ * @returns {Date} start
+ */
+export function startFromFinish(finish, hours, rules) {
+  let remaining = (hours || 0) * HOUR_MS;
+  let cursor = new Date(finish);
+  if (remaining <= 0) return cursor;
+
+  for (let i = 0; i < MAX_DAYS; i++) {
+    const [open, close] = workWindow(cursor, rules);
+    if (isWorkingDay(cursor, rules)) {
+      const end = Math.min(cursor.getTime(), close.getTime());
+      const avail = end - open.getTime();
+      if (avail >= remaining) return new Date(end - remaining);
+      if (avail > 0) remaining -= avail;
+    }
+    // continue from the close of the previous day
+    cursor = new Date(open);
+    cursor.setDate(cursor.getDate() - 1);
+    cursor = workWindow(cursor, rules)[1];
+  }
+  return cursor;
+}
+
+/**
+ * Walk forward from `start` until `hours` of working time are consumed.
+ * @returns {Date} finish
+ */
+export function finishFromStart(start, hours, rules) {
+  let remaining = (hours || 0) * HOUR_MS;
+  let cursor = new Date(start);
+  if (remaining <= 0) return cursor;
+
+  for (let i = 0; i < MAX_DAYS; i++) {
+    const [open, close] = workWindow(cursor, rules);
+    if (isWorkingDay(cursor, rules)) {
+      const begin = Math.max(cursor.getTime(), open.getTime());
+      const avail = close.getTime() - begin;
+      if (avail >= remaining) return new Date(begin + remaining);
+      if (avail > 0) remaining -= avail;
+    }
+    // continue from the opening of the next day
+    cursor = new Date(open);
+    cursor.setDate(cursor.getDate() + 1);
+    cursor = workWindow(cursor, rules)[0];
+  }
+  return cursor;
+}
+
+/** Working hours contained in [start, finish) */
+export function workingHoursBetween(start, finish, rules) {
+  let total = 0;
+  let cursor = new Date(start);
+  for (let i = 0; i < MAX_DAYS && cursor < finish; i++) {
+    const [open, close] = workWindow(cursor, rules);
+    if (isWorkingDay(cursor, rules)) {
+      const a = Math.max(cursor.getTime(), open.getTime());
+      const b = Math.min(finish.getTime(), close.getTime());
+      if (b > a) total += b - a;
+    }
+    cursor = new Date(open);
+    cursor.setDate(cursor.getDate() + 1);
+    cursor.setHours(0, 0, 0, 0);
+  }
+  return total / HOUR_MS;
+}
+
+/** JSON-friendly view of the rules for the browser */
+export function serializeRules(rules) {
+  return { ...rules, holidays: [...rules.holidays].sort() };
+}
@@ -0,0 +1,109 @@
+// -------------------------------------------------------------
+// lib/capacity.js - per-assignee workload vs. calendar capacity
+// -------------------------------------------------------------
+import { calendarFor, dayKey, isWorkingDay, workingHoursBetween } from './calendar.js';
+
+export const UNASSIGNED = '(unassigned)';
+
+function startOfDay(d) {
+  const x = new Date(d);
+  x.setHours(0, 0, 0, 0);
+  return x;
+}
+
+function nextDay(d) {
+  const x = new Date(d);
+  x.setDate(x.getDate() + 1);
+  return x;
+}
+
+/** Bucket key of a day: the day itself or the Monday of its week */
+function bucketKey(d, unit) {
+  if (unit !== 'week') return dayKey(d);
+  const monday = new Date(d);
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  return dayKey(monday);
+}
+
+const round1 = n => Math.round(n * 10) / 10;
+
+/**
+ * Spread the remaining effort (est - done) of every open Task over the
+ * working hours between its start and finish and compare the result per
+ * person and bucket with the hours their calendar makes available.
+ * Overdue work is booked on the first bucket – it still has to be done.
+ *
+ * @param {object[]} rows - Rows as produced by loadGanttTree (Date start/finish).
+ * @param {object} opts
+ * @param {object} opts.cal - Calendar config from loadCalendar.
+ * @param {string} [opts.team] - Team whose holidays apply.
+ * @param {Date} opts.from - First day of the window.
+ * @param {Date} opts.to - Day after the last day of the window.
+ * @param {'day'|'week'} [opts.unit='day']
+ * @param {object} opts.config - Planner config (task type, closed states).
+ */
+export function buildCapacity(rows, { cal, team, from, to, unit = 'day', config }) {
+  from = startOfDay(from);
+  to = startOfDay(to);
+
+  const days = [];
+  for (let d = from; d < to; d = nextDay(d)) days.push(d);
+  const buckets = [...new Set(days.map(d => bucketKey(d, unit)))];
+  const index = new Map(buckets.map((b, i) => [b, i]));
+
+  const people = new Map();
+  const personEntry = name => {
+    if (!people.has(name)) {
+      const rules = calendarFor(cal, { team, person: name });
+      const capacity = buckets.map(() => 0);
+      // nobody has capacity for unassigned work
+      if (name !== UNASSIGNED) {
+        for (const d of days) {
+          if (isWorkingDay(d, rules)) capacity[index.get(bucketKey(d, unit))] += rules.hoursPerDay;
+        }
+      }
+      people.set(name, { name, rules, capacity, load: buckets.map(() => 0), tasks: [] });
+    }
+    return people.get(name);
+  };
+
+  for (const r of rows) {
+    if (r.type !== config.types.task || config.closedStates.includes(r.state)) continue;
+    const remaining = Math.max(0, (r.est || 0) - (r.done || 0));
+    if (!remaining) continue;
+
+    const p = personEntry(r.assignedTo || UNASSIGNED);
+    p.tasks.push(r.id);
+    const begin = new Date(Math.max(new Date(r.start).getTime(), from.getTime()));
+    const end = new Date(r.finish);
+    const total = end > begin ? workingHoursBetween(begin, end, p.rules) : 0;
+
+    if (!total) {
+      const i = index.get(bucketKey(end > from ? begin : from, unit));
+      if (i != null) p.load[i] += remaining;
+      continue;
+    }
+    for (let d = startOfDay(begin); d < end && d < to; d = nextDay(d)) {
+      const a = new Date(Math.max(d.getTime(), begin.getTime()));
+      const b = new Date(Math.min(nextDay(d).getTime(), end.getTime()));
+      const hours = workingHoursBetween(a, b, p.rules);
+      if (hours) p.load[index.get(bucketKey(d, unit))] += remaining * hours / total;
+    }
+  }
+
+  return {
+    unit,
+    from: dayKey(from),
+    to: dayKey(to),
+    buckets,
+    people: [...people.values()]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(({ name, capacity, load, tasks }) => ({
+        name,
+        tasks,
+        capacity: capacity.map(round1),
+        load: load.map(round1),
+        over: load.map((l, i) => l > capacity[i] + 0.05)
+      }))
+  };
+}
@@ -0,0 +1,114 @@
+// -------------------------------------------------------------
+// lib/config.js - process template specific settings
+// (work item types, field reference names, phase rules, quality checks)
+// -------------------------------------------------------------
+import fs from 'fs';
+
+const DEFAULTS = {
+  types: {
+    location: 'Location',               // picker level above projects
+    project: 'Project',
+    demand: 'ITDemand',                 // carries the "sold" hours
+    task: 'Task',
+    hierarchy: ['Project', 'ITDemand', 'Task']   // types shown in the tree
+  },
+  fields: {
+    originalEstimate: 'Microsoft.VSTS.Scheduling.OriginalEstimate',
+    completedWork: 'Microsoft.VSTS.Scheduling.CompletedWork',
+    startDate: 'Microsoft.VSTS.Scheduling.StartDate',
+    finishDate: 'Microsoft.VSTS.Scheduling.FinishDate',
+    dueDate: 'Microsoft.VSTS.Scheduling.DueDate',
+    billable: 'Custom.Billable'
+  },
+  phases: {
+    // first capture group picks the colour
+    pattern: '^P([1-9])\\.',
+    flags: 'i',
+    colours: {
+      1: '#1abc9c', 2: '#3498db', 3: '#9b59b6', 4: '#f39c12', 5: '#e74c3c',
+      6: '#2ecc71', 7: '#e67e22', 8: '#16a085', 9: '#7f8c8d'
+    },
+    defaultColour: '#bdc3c7'
+  },
+  closedStates: ['Closed', 'Done', 'Removed', 'Resolved'],
+  // severity per data-quality rule (see lib/quality.js); "off" disables one
+  quality: {
+    missingDate: 'warning',
+    missingEstimate: 'warning',
+    missingBillable: 'warning',
+    missingAssignee: 'warning',
+    overEstimate: 'error',
+    overdue: 'error',
+    afterPhase: 'warning',
+    noPhase: 'info'
+  }
+};
+const SEVERITIES = ['error', 'warning', 'info', 'off'];
+
+// names end up inside WIQL / JSON-Patch paths, so keep them boring
+const TYPE_NAME = /^[\w][\w .-]*$/;
+const FIELD_REF = /^[A-Za-z][\w]*(\.[\w]+)+$/;
+const COLOUR = /^(#[0-9a-f]{3,8}|[a-z]+)$/i;
+
+function fail(where, msg) {
+  throw new Error(`${where}: ${msg}`);
+}
+
+function validate(cfg, where) {
+  for (const [key, name] of Object.entries(cfg.types)) {
+    const names = key === 'hierarchy' ? name : [name];
+    if (!Array.isArray(names) || !names.length) fail(where, `types.${key} must not be empty`);
+    for (const n of names) {
+      if (typeof n !== 'string' || !TYPE_NAME.test(n)) fail(where, `types.${key}: invalid work item type "${n}"`);
+    }
+  }
+  for (const [key, ref] of Object.entries(cfg.fields)) {
+    if (typeof ref !== 'string' || !FIELD_REF.test(ref)) fail(where, `fields.${key}: invalid field reference "${ref}"`);
+  }
+  // stateful flags would make phaseRe.test() alternate between calls
+  if (/[gy]/.test(cfg.phases.flags || '')) fail(where, 'phases.flags must not contain g or y');
+  try {
+    new RegExp(cfg.phases.pattern, cfg.phases.flags);
+  } catch (err) {
+    fail(where, `phases.pattern: ${err.message}`);
+  }
+  for (const c of [...Object.values(cfg.phases.colours), cfg.phases.defaultColour]) {
+    if (!COLOUR.test(c)) fail(where, `phases: invalid colour "${c}"`);
+  }
+  if (!Array.isArray(cfg.closedStates)) fail(where, 'closedStates must be a list');
+  for (const [rule, severity] of Object.entries(cfg.quality)) {
+    if (!(rule in DEFAULTS.quality)) fail(where, `quality: unknown rule "${rule}"`);
+    if (!SEVERITIES.includes(severity)) fail(where, `quality.${rule} must be one of ${SEVERITIES.join(', ')}`);
+  }
+}
+
+/**
+ * Read the planner config, filling gaps from the defaults (which match the
+ * original process template). Throws with a readable message on bad input.
+ * @param {string} file
+ */
+export function loadConfig(file) {
+  const raw = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  const cfg = {
+    types: { ...DEFAULTS.types, ...raw.types },
+    fields: { ...DEFAULTS.fields, ...raw.fields },
+    phases: { ...DEFAULTS.phases, ...raw.phases },
+    closedStates: raw.closedStates ?? DEFAULTS.closedStates,
+    quality: { ...DEFAULTS.quality, ...raw.quality }
+  };
+  validate(cfg, file);
+  cfg.phaseRe = new RegExp(cfg.phases.pattern, cfg.phases.flags);
+  return cfg;
+}
+
+/** Phase key (first capture group, '' without one) or null when not a phase */
+export function phaseKey(name, cfg) {
+  const m = cfg.phaseRe.exec(name || '');
+  return m ? (m[1] ?? '') : null;
+}
+
+/** What the browser needs – the RegExp travels as pattern + flags */
+export function publicConfig(cfg) {
+  const { phaseRe, ...rest } = cfg;
+  return rest;
+}
@@ -0,0 +1,95 @@
+// -------------------------------------------------------------
+// lib/critical.js - critical path and float of the planned schedule
+// -------------------------------------------------------------
+import { calendarFor, startFromFinish, workingHoursBetween } from './calendar.js';
+
+// Anything with less float than this (working hours) counts as critical
+const CRITICAL_EPSILON_H = 0.01;
+
+/** Signed working hours from `a` to `b` (negative when b is before a) */
+function signedHours(a, b, rules) {
+  return b >= a ? workingHoursBetween(a, b, rules) : -workingHoursBetween(b, a, rules);
+}
+
+const round1 = n => Math.round(n * 10) / 10;
+
+/**
+ * Backward pass over the planned dates. Leaf rows are activities with
+ * their estimate as duration, dependency links are finish-to-start edges
+ * and the deadline is the demand item's finish (or the latest finish overall).
+ *
+ * Each row gets `totalFloat` / `freeFloat` (working hours) and `critical`;
+ * summary rows take the minimum of their children.
+ *
+ * @param {object[]} rows - Ordered rows with Date start/finish, team, assignedTo.
+ * @param {object[]} links - {source, target} finish-to-start links.
+ * @param {object} cal - Calendar config from loadCalendar.
+ * @param {object} config - Planner config (demand type).
+ * @returns {{deadline: Date|null, taskIds: number[]}}
+ */
+export function analyzeCriticalPath(rows, links, cal, config) {
+  const byId = new Map(rows.map(r => [r.id, r]));
+  const parents = new Set(rows.map(r => r.parent).filter(p => p != null));
+  const leaves = rows.filter(r => !parents.has(r.id) && r.finish);
+  if (!leaves.length) return { deadline: null, taskIds: [] };
+
+  const demand = rows.find(r => r.type === config.types.demand && r.finish);
+  const deadline = demand
+    ? new Date(demand.finish)
+    : new Date(Math.max(...leaves.map(r => new Date(r.finish).getTime())));
+
+  const succ = new Map(leaves.map(r => [r.id, []]));
+  for (const l of links) {
+    if (succ.has(l.source) && succ.has(l.target)) succ.get(l.source).push(l.target);
+  }
+  const rulesOf = r => calendarFor(cal, { team: r.team, person: r.assignedTo });
+
+  // latest allowed finish, memoised depth-first; edges closing a cycle are skipped
+  const lateFinish = new Map();
+  const lateStart = new Map();
+  const visiting = new Set();
+  function visit(id) {
+    if (lateFinish.has(id)) return;
+    visiting.add(id);
+    let lf = deadline;
+    for (const s of succ.get(id)) {
+      if (visiting.has(s)) continue;
+      visit(s);
+      if (lateStart.get(s) < lf) lf = lateStart.get(s);
+    }
+    visiting.delete(id);
+    const r = byId.get(id);
+    lateFinish.set(id, lf);
+    lateStart.set(id, startFromFinish(lf, r.est || 0, rulesOf(r)));
+  }
+  leaves.forEach(r => visit(r.id));
+
+  for (const r of leaves) {
+    const rules = rulesOf(r);
+    const finish = new Date(r.finish);
+    const nextStarts = succ.get(r.id).map(s => new Date(byId.get(s).start));
+    const limit = nextStarts.length
+      ? new Date(Math.min(...nextStarts.map(d => d.getTime())))
+      : deadline;
+    r.totalFloat = round1(signedHours(finish, lateFinish.get(r.id), rules));
+    r.freeFloat = round1(signedHours(finish, limit, rules));
+    r.critical = r.totalFloat < CRITICAL_EPSILON_H;
+  }
+
+  // summary rows: children come after their parent, so walk backwards
+  for (let i = rows.length - 1; i >= 0; i--) {
+    const r = rows[i];
+    if (!parents.has(r.id)) continue;
+    const kids = rows.filter(k => k.parent === r.id && k.totalFloat != null);
+    if (!kids.length) continue;
+    r.totalFloat = Math.min(...kids.map(k => k.totalFloat));
+    r.freeFloat = Math.min(...kids.map(k => k.freeFloat));
+    r.critical = kids.some(k => k.critical);
+  }
+
+  const taskIds = leaves
+    .filter(r => r.critical)
+    .sort((a, b) => new Date(a.start) - new Date(b.start))
+    .map(r => r.id);
+  return { deadline, taskIds };
+}
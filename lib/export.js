@@ -0,0 +1,176 @@
+// -------------------------------------------------------------
+// lib/export.js - plan export to CSV, Excel and MS Project XML
+// -------------------------------------------------------------
+import ExcelJS from 'exceljs';
+
+/** Finish date of a row, null when it is only the synthesised fallback */
+const finishOf = r => (r.finish && r.dated !== false ? new Date(r.finish) : null);
+
+/** Flat record per row, shared by the CSV and Excel writers */
+function toRecords(rows) {
+  return rows.map(r => ({
+    id: r.id,
+    parent: r.parent ?? '',
+    level: r.depth ?? 0,
+    type: r.type,
+    title: r.name,
+    state: r.state || '',
+    assignedTo: r.assignedTo || '',
+    start: r.start ? new Date(r.start) : null,
+    finish: finishOf(r),
+    est: r.est || 0,
+    done: r.done || 0,
+    doneWeek: r.doneWeek || 0,
+    billable: r.billable == null ? '' : (r.billable ? 'Yes' : 'No'),
+    problems: (r.problems || []).map(p => p.message).join('; '),
+    hasError: (r.problems || []).some(p => p.severity === 'error')
+  }));
+}
+
+const COLUMNS = [
+  { key: 'id', header: 'ID', width: 8 },
+  { key: 'parent', header: 'Parent', width: 8 },
+  { key: 'level', header: 'Level', width: 6 },
+  { key: 'type', header: 'Type', width: 10 },
+  { key: 'title', header: 'Title', width: 50 },
+  { key: 'state', header: 'State', width: 10 },
+  { key: 'assignedTo', header: 'Assigned To', width: 22 },
+  { key: 'start', header: 'Start', width: 17 },
+  { key: 'finish', header: 'Finish', width: 17 },
+  { key: 'est', header: 'Orig Est (h)', width: 11 },
+  { key: 'done', header: 'Completed (h)', width: 12 },
+  { key: 'doneWeek', header: 'This Week (h)', width: 12 },
+  { key: 'billable', header: 'Billable', width: 8 },
+  { key: 'problems', header: 'Problems', width: 40 }
+];
+
+function csvCell(v) {
+  if (v instanceof Date) v = v.toISOString();
+  // Excel runs text starting with = + - @ (or a tab / CR) as a formula – keep it text
+  const s = typeof v === 'string' && /^[=+\-@\t\r]/.test(v) ? `'${v}` : String(v ?? '');
+  return /[",\r\n;]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * RFC 4180 CSV (UTF-8 with BOM so Excel picks up umlauts).
+ * @param {Array<{key: string, header: string}>} columns
+ * @param {object[]} records
+ */
+export function csvTable(columns, records) {
+  const lines = [columns.map(c => csvCell(c.header)).join(',')];
+  for (const rec of records) {
+    lines.push(columns.map(c => csvCell(rec[c.key])).join(','));
+  }
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/** Plan rows as CSV */
+export function toCsv(rows) {
+  return csvTable(COLUMNS, toRecords(rows));
+}
+
+/** Excel workbook with outline levels so the hierarchy can be collapsed */
+export async function toXlsx(rows, { title = 'Plan' } = {}) {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet(title.slice(0, 31).replace(/[\\/?*[\]:]/g, ' '));
+  ws.columns = COLUMNS;
+  ws.getRow(1).font = { bold: true };
+  ws.views = [{ state: 'frozen', ySplit: 1 }];
+  ws.properties.outlineProperties = { summaryBelow: false };
+
+  for (const rec of toRecords(rows)) {
+    const row = ws.addRow(rec);
+    row.outlineLevel = Math.min(rec.level, 7);
+    row.getCell('title').alignment = { indent: rec.level };
+    if (rec.problems) {
+      row.getCell('problems').font = { color: { argb: rec.hasError ? 'FFFF0000' : 'FFD35400' } };
+    }
+  }
+  for (const key of ['start', 'finish']) ws.getColumn(key).numFmt = 'dd.mm.yyyy hh:mm';
+  return wb.xlsx.writeBuffer();
+}
+
+function xml(s) {
+  return String(s ?? '').replace(/[<>&'"]/g, c =>
+    ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]);
+}
+
+/** MSPDI wants local date-times without zone */
+function mspdiDate(d) {
+  const pad = n => String(n).padStart(2, '0');
+  d = new Date(d);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}` +
+    `T${pad(d.getHours())}:${pad(d.getMinutes())}:00`;
+}
+
+function hours(h) {
+  const minutes = Math.round(h * 60);
+  return `PT${Math.floor(minutes / 60)}H${minutes % 60}M0S`;
+}
+
+/**
+ * MS Project XML (MSPDI). Rows become tasks with their outline level,
+ * dependency links become finish-to-start predecessors and assignees
+ * become resources with one assignment per task.
+ */
+export function toMspdi(rows, links = [], { title = 'Plan', hoursPerDay = 8 } = {}) {
+  const parents = new Set(rows.map(r => r.parent).filter(p => p != null));
+  const preds = new Map();
+  for (const l of links) {
+    if (!preds.has(l.target)) preds.set(l.target, []);
+    preds.get(l.target).push(l.source);
+  }
+
+  const people = [...new Set(rows.map(r => r.assignedTo).filter(Boolean))];
+  const resourceUid = new Map(people.map((p, i) => [p, i + 1]));
+
+  const tasks = rows.map((r, i) => {
+    const summary = parents.has(r.id);
+    const predXml = (preds.get(r.id) || [])
+      .map(p => `<PredecessorLink><PredecessorUID>${p}</PredecessorUID><Type>1</Type></PredecessorLink>`)
+      .join('');
+    const notes = [`ADO #${r.id} (${r.type})`];
+    if (r.billable != null) notes.push(`Billable: ${r.billable ? 'Yes' : 'No'}`);
+    return `
+    <Task>
+      <UID>${r.id}</UID>
+      <ID>${i + 1}</ID>
+      <Name>${xml(r.name)}</Name>
+      <OutlineLevel>${(r.depth ?? 0) + 1}</OutlineLevel>
+      <Summary>${summary ? 1 : 0}</Summary>
+      ${r.start ? `<Start>${mspdiDate(r.start)}</Start>` : ''}
+      ${finishOf(r) ? `<Finish>${mspdiDate(r.finish)}</Finish>` : ''}
+      <Duration>${hours(r.est || 0)}</Duration>
+      <Work>${hours(r.est || 0)}</Work>
+      <ActualWork>${hours(r.done || 0)}</ActualWork>
+      <PercentComplete>${r.est ? Math.min(100, Math.round((r.done || 0) / r.est * 100)) : 0}</PercentComplete>
+      <Notes>${xml(notes.join('; '))}</Notes>
+      ${predXml}
+    </Task>`;
+  }).join('');
+
+  const resources = people.map(p => `
+    <Resource><UID>${resourceUid.get(p)}</UID><ID>${resourceUid.get(p)}</ID><Name>${xml(p)}</Name><Type>1</Type></Resource>`
+  ).join('');
+
+  const assignments = rows
+    .filter(r => r.assignedTo && !parents.has(r.id))
+    .map((r, i) => `
+    <Assignment><UID>${i + 1}</UID><TaskUID>${r.id}</TaskUID><ResourceUID>${resourceUid.get(r.assignedTo)}</ResourceUID><Work>${hours(r.est || 0)}</Work></Assignment>`
+    ).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Project xmlns="http://schemas.microsoft.com/project">
+  <Name>${xml(title)}</Name>
+  <Title>${xml(title)}</Title>
+  <MinutesPerDay>${Math.round(hoursPerDay * 60)}</MinutesPerDay>
+  <MinutesPerWeek>${Math.round(hoursPerDay * 60 * 5)}</MinutesPerWeek>
+  <Tasks>${tasks}
+  </Tasks>
+  <Resources>${resources}
+  </Resources>
+  <Assignments>${assignments}
+  </Assignments>
+</Project>
+`;
+}
@@ -0,0 +1,43 @@
+// -------------------------------------------------------------
+// lib/history.js - field changes from work item revision history
+// -------------------------------------------------------------
+
+/** When a revision was made (revisedDate is when it got superseded) */
+export function changedAt(update) {
+  const changed = update.fields?.['System.ChangedDate']?.newValue;
+  return new Date(changed || update.revisedDate);
+}
+
+/**
+ * Every change of `field` in the `wit/workitems/{id}/updates` list.
+ * @param {object[]} updates - `value` of the updates response.
+ * @param {string} field - Reference name, e.g. Microsoft.VSTS.Scheduling.CompletedWork.
+ * @returns {Array<{date: Date, from: number, to: number, delta: number, by: string}>}
+ */
+export function fieldDeltas(updates, field) {
+  const out = [];
+  for (const u of updates || []) {
+    const change = u.fields?.[field];
+    if (!change) continue;
+    const from = Number(change.oldValue) || 0;
+    const to = Number(change.newValue) || 0;
+    out.push({
+      date: changedAt(u),
+      from,
+      to,
+      delta: to - from,
+      by: u.revisedBy?.displayName || u.revisedBy?.uniqueName || ''
+    });
+  }
+  return out.sort((a, b) => a.date - b.date);
+}
+
+/** Value of `field` as it was at `date` (0 before the first change) */
+export function valueAt(deltas, date) {
+  let value = 0;
+  for (const d of deltas) {
+    if (d.date > date) break;
+    value = d.to;
+  }
+  return value;
+}
@@ -0,0 +1,267 @@
+// -------------------------------------------------------------
+// lib/import.js - read MS Project XML / CSV plans and diff them
+// against an existing work item tree
+// -------------------------------------------------------------
+import { XMLParser } from 'fast-xml-parser';
+
+/**
+ * Parsed plan item. `level` starts at 1 for the top level items of the
+ * plan; `parentKey` points at the enclosing item. `sourceId` is the work
+ * item id the plan carries (our exports write it), if any.
+ * @typedef {{key: string, sourceId: number|null, name: string, level: number,
+ *   parentKey: string|null, type: string, est: number|null, finish: string|null,
+ *   billable: boolean|null, assignedTo: string|null}} PlanItem
+ */
+
+/**
+ * Field delimiter of a CSV file: `;` (Excel in European locales) when the
+ * header line has more of those than commas outside quotes, `,` otherwise
+ */
+function detectDelimiter(text) {
+  const counts = { ',': 0, ';': 0 };
+  let quoted = false;
+  for (const c of text) {
+    if (c === '"') quoted = !quoted;
+    else if (!quoted && (c === '\n' || c === '\r')) break;
+    else if (!quoted && c in counts) counts[c]++;
+  }
+  return counts[';'] > counts[','] ? ';' : ',';
+}
+
+/** Minimal RFC 4180 reader: quoted fields, escaped quotes, CRLF, `,` or `;` */
+export function parseCsvText(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  text = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(text);
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === delimiter) { row.push(cell); cell = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else cell += c;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(v => v.trim() !== ''));
+}
+
+const HEADER_ALIASES = {
+  id: ['id'],
+  title: ['title', 'name', 'task name'],
+  level: ['level', 'outline level'],
+  type: ['type', 'work item type'],
+  est: ['orig est (h)', 'original estimate', 'estimate', 'est', 'work'],
+  finish: ['finish', 'due', 'due date', 'finish date'],
+  billable: ['billable'],
+  assignedTo: ['assigned to', 'assignee', 'resource names', 'resource']
+};
+
+function parseBool(v) {
+  if (v == null || v === '') return null;
+  return ['yes', 'true', '1', 'ja', 'y'].includes(String(v).trim().toLowerCase());
+}
+
+function parseId(v) {
+  return /^\d+$/.test(String(v ?? '').trim()) ? Number(v) : null;
+}
+
+function parseNumber(v) {
+  if (v == null || v === '') return null;
+  const n = Number(String(v).replace(',', '.').replace(/[^\d.-]/g, ''));
+  return Number.isFinite(n) ? n : null;
+}
+
+function parseDate(v) {
+  if (!v) return null;
+  const s = String(v).trim();
+  // 31.12.2025 (optionally with time) as exported by European tools
+  const m = s.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})(?:\s+(\d{1,2}):(\d{2}))?$/);
+  const d = m
+    ? new Date(Number(m[3]), Number(m[2]) - 1, Number(m[1]), Number(m[4] || 0), Number(m[5] || 0))
+    : new Date(s);
+  return isNaN(d) ? null : d.toISOString();
+}
+
+/** Attach parentKey from the level sequence and shift levels to start at 1 */
+function linkLevels(items) {
+  const min = Math.min(...items.map(i => i.level));
+  const stack = [];
+  for (const item of items) {
+    item.level = item.level - min + 1;
+    stack.length = item.level - 1;
+    item.parentKey = stack[item.level - 2]?.key ?? null;
+    stack[item.level - 1] = item;
+  }
+  return items;
+}
+
+/**
+ * CSV plan, e.g. the dashboard's own export. Needs a Title column; the
+ * hierarchy comes from Level (any base), everything else is optional.
+ * @param {string} text
+ * @param {{hierarchy: string[], task: string}} types - Configured work item types.
+ * @returns {PlanItem[]}
+ */
+export function parseCsvPlan(text, types) {
+  const [header, ...data] = parseCsvText(text);
+  if (!header) throw new Error('CSV is empty');
+  const names = header.map(h => h.trim().toLowerCase());
+  const col = {};
+  for (const [key, aliases] of Object.entries(HEADER_ALIASES)) {
+    const idx = names.findIndex(n => aliases.includes(n));
+    if (idx >= 0) col[key] = idx;
+  }
+  if (col.title == null) throw new Error('CSV needs a Title column');
+
+  const items = data.map((cells, i) => {
+    const get = key => (col[key] == null ? null : cells[col[key]]?.trim() ?? null);
+    const type = types.hierarchy.find(t => t.toLowerCase() === (get('type') || '').toLowerCase()) || types.task;
+    return {
+      key: `row${i + 2}`,
+      sourceId: parseId(get('id')),
+      name: get('title'),
+      level: parseNumber(get('level')) ?? 1,
+      parentKey: null,
+      type,
+      est: parseNumber(get('est')),
+      finish: parseDate(get('finish')),
+      billable: parseBool(get('billable')),
+      assignedTo: get('assignedTo') || null
+    };
+  }).filter(i => i.name);
+  if (!items.length) throw new Error('CSV has no rows with a title');
+  return linkLevels(items);
+}
+
+/** PT12H30M0S ➜ 12.5 */
+function parseIsoHours(v) {
+  const m = String(v || '').match(/^PT(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?$/);
+  if (!m) return null;
+  return Number(m[1] || 0) + Number(m[2] || 0) / 60 + Number(m[3] || 0) / 3600;
+}
+
+const asArray = v => (v == null ? [] : Array.isArray(v) ? v : [v]);
+
+/**
+ * MS Project XML (MSPDI). The project summary task (OutlineLevel 0) is
+ * skipped; Work (or Duration) becomes the estimate, resources the assignee
+ * and the "ADO #123" and "Billable: Yes/No" notes – as written by our
+ * export – the work item id and the flag. Summary tasks – flagged as such
+ * or with deeper tasks below them – get the type above Task in the
+ * configured hierarchy, all others Task.
+ * @param {string} text
+ * @param {{hierarchy: string[], task: string}} types - Configured work item types.
+ * @returns {PlanItem[]}
+ */
+export function parseMspdiPlan(text, types) {
+  const doc = new XMLParser({ parseTagValue: false }).parse(text);
+  const project = doc.Project;
+  if (!project) throw new Error('Not an MS Project XML file');
+
+  const resources = new Map(asArray(project.Resources?.Resource).map(r => [String(r.UID), r.Name]));
+  const assignee = new Map();
+  for (const a of asArray(project.Assignments?.Assignment)) {
+    const name = resources.get(String(a.ResourceUID));
+    if (name && !assignee.has(String(a.TaskUID))) assignee.set(String(a.TaskUID), name);
+  }
+
+  const parentType = types.hierarchy[types.hierarchy.indexOf(types.task) - 1] ?? types.task;
+  const summaries = new Set();
+  const items = asArray(project.Tasks?.Task)
+    .filter(t => Number(t.OutlineLevel) > 0 && t.Name)
+    .map(t => {
+      if (String(t.Summary) === '1') summaries.add(`uid${t.UID}`);
+      const billable = String(t.Notes || '').match(/Billable:\s*(\w+)/i);
+      const id = String(t.Notes || '').match(/ADO #(\d+)/);
+      return {
+        key: `uid${t.UID}`,
+        sourceId: id ? Number(id[1]) : null,
+        name: String(t.Name).trim(),
+        level: Number(t.OutlineLevel),
+        parentKey: null,
+        type: types.task,
+        est: parseIsoHours(t.Work) ?? parseIsoHours(t.Duration),
+        finish: parseDate(t.Finish),
+        billable: billable ? parseBool(billable[1]) : null,
+        assignedTo: assignee.get(String(t.UID)) || null
+      };
+    });
+  if (!items.length) throw new Error('MS Project XML contains no tasks');
+  linkLevels(items).forEach(i => i.parentKey && summaries.add(i.parentKey));
+  for (const item of items) {
+    if (summaries.has(item.key)) item.type = parentType;
+  }
+  return items;
+}
+
+const norm = s => String(s || '').trim().toLowerCase();
+
+/**
+ * The plan item standing for the root itself: the only top level item,
+ * carrying the root's id or title – as in the dashboard's own exports,
+ * which start with the root row (CSV Level 0, MSPDI OutlineLevel 1).
+ */
+function rootItem(items, root) {
+  const top = items.filter(i => i.level === 1);
+  if (top.length !== 1 || items[0] !== top[0] || !root) return null;
+  const item = top[0];
+  return item.sourceId === root.id || norm(item.name) === norm(root.name) ? item : null;
+}
+
+/**
+ * Decide per plan item whether it matches an existing work item (same
+ * title below the same parent), needs an update or has to be created.
+ * A leading row for the root itself matches the root.
+ * @param {PlanItem[]} items
+ * @param {object[]} rows - Current tree rows (from loadGanttTree).
+ * @param {number} rootId - Work item the plan is imported below.
+ * @returns {Array<PlanItem & {action: 'create'|'update'|'match', id: number|null, changes: object}>}
+ */
+export function previewImport(items, rows, rootId) {
+  const childrenOf = new Map();
+  for (const r of rows) {
+    const list = childrenOf.get(r.parent ?? null) ?? [];
+    list.push(r);
+    childrenOf.set(r.parent ?? null, list);
+  }
+  const rootRow = rows.find(r => r.id === rootId);
+  const root = rootItem(items, rootRow);
+  const idOfKey = new Map();
+
+  return items.map(item => {
+    const parentId = item.parentKey ? idOfKey.get(item.parentKey) : rootId;
+    const existing = item === root
+      ? rootRow
+      : parentId != null
+        ? (childrenOf.get(parentId) || []).find(r => norm(r.name) === norm(item.name))
+        : null;
+    idOfKey.set(item.key, existing?.id ?? null);
+    if (!existing) return { ...item, action: 'create', id: null, changes: {} };
+
+    const changes = {};
+    if (item.est != null && item.est !== existing.est) changes.est = { from: existing.est, to: item.est };
+    if (item.billable != null && item.billable !== existing.billable) {
+      changes.billable = { from: existing.billable, to: item.billable };
+    }
+    if (item.finish && new Date(item.finish).getTime() !== new Date(existing.finish).getTime()) {
+      changes.finish = { from: existing.finish, to: item.finish };
+    }
+    if (item.assignedTo && norm(item.assignedTo) !== norm(existing.assignedTo)) {
+      changes.assignedTo = { from: existing.assignedTo, to: item.assignedTo };
+    }
+    return {
+      ...item,
+      action: Object.keys(changes).length ? 'update' : 'match',
+      id: existing.id,
+      changes
+    };
+  });
+}
@@ -0,0 +1,52 @@
+// -------------------------------------------------------------
+// lib/jsonStore.js - tiny file-backed JSON store for local state
+// -------------------------------------------------------------
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * A JSON document on disk. Writes go through a temp file + rename so a
+ * crash never leaves half a file, and updates are queued so concurrent
+ * requests cannot overwrite each other's changes.
+ * @param {string} file - Path of the JSON file; its directory is created.
+ * @param {any} initial - Value used while the file does not exist yet.
+ */
+export function createJsonStore(file, initial) {
+  let queue = Promise.resolve();
+
+  async function read() {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return structuredClone(initial);
+      throw err;
+    }
+  }
+
+  async function write(data) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+    await fs.rename(tmp, file);
+  }
+
+  return {
+    read,
+
+    /**
+     * Apply `fn` to the current document and persist what it returns
+     * (or the mutated document when it returns undefined).
+     * @returns {Promise<any>} the stored document
+     */
+    update(fn) {
+      const run = queue.then(async () => {
+        const data = await read();
+        const next = (await fn(data)) ?? data;
+        await write(next);
+        return next;
+      });
+      queue = run.catch(() => {});
+      return run;
+    }
+  };
+}
@@ -0,0 +1,369 @@
+// -------------------------------------------------------------
+// lib/mockAdo.js - in-memory stand-in for the parts of the Azure
+// DevOps REST API the dashboard uses, seeded from a JSON fixture
+// -------------------------------------------------------------
+import express from 'express';
+import fs from 'fs';
+
+/*
+ * Fixture file:
+ *   {
+ *     "users":      [{ "id", "displayName", "uniqueName", "token"? }],   first = PAT owner
+ *     "projects":   [{ "id", "name", "teams": [{ "id", "name" }] }],
+ *     "workItems":  [{ "id", "fields": { "System.WorkItemType": …, "System.Parent": … } }],
+ *     "links":      [[predecessorId, successorId], …],
+ *     "history":    { "<id>": [{ "date", "by", "fields": { ref: newValue } }] }
+ *   }
+ * String values "@today", "@today+5" or "@today-10" become dates relative
+ * to the day the mock starts, so the demo data never goes stale. Changes
+ * made through the API live in memory only.
+ */
+
+const HIERARCHY_FORWARD = 'System.LinkTypes.Hierarchy-Forward';
+const HIERARCHY_REVERSE = 'System.LinkTypes.Hierarchy-Reverse';
+const DEPENDENCY_FORWARD = 'System.LinkTypes.Dependency-Forward';
+const IDENTITY_FIELDS = ['System.AssignedTo', 'System.ChangedBy', 'System.CreatedBy'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function relativeDate(v) {
+  const m = typeof v === 'string' && /^@today(?:([+-]\d+))?$/.exec(v);
+  if (!m) return v;
+  const d = new Date();
+  d.setHours(16, 0, 0, 0);
+  return new Date(d.getTime() + Number(m[1] || 0) * DAY_MS).toISOString();
+}
+
+class MockError extends Error {
+  constructor(status, message, typeKey) {
+    super(message);
+    this.status = status;
+    this.typeKey = typeKey;
+  }
+}
+
+// --- WIQL ----------------------------------------------------------------------
+// Only what the dashboard sends: AND-ed conditions with =, <> and IN.
+
+function parseLiteral(token) {
+  const t = token.trim();
+  return t.startsWith("'") ? t.slice(1, -1).replace(/''/g, "'") : Number(t);
+}
+
+function parseWiql(query) {
+  const from = /FROM\s+(WorkItemLinks|WorkItems)\b/i.exec(query)?.[1].toLowerCase();
+  if (!from) throw new MockError(400, 'TF51005: The query references an unsupported FROM clause.');
+  const mode = /MODE\s*\(\s*(\w+)\s*\)/i.exec(query)?.[1].toLowerCase() || 'mustcontain';
+  const where = /\bWHERE\b([\s\S]*?)(?:\bORDER\s+BY\b|\bMODE\s*\(|$)/i.exec(query)?.[1] || '';
+  if (/\bOR\b/i.test(where.replace(/'(?:[^']|'')*'/g, ''))) {
+    throw new MockError(400, 'Mock WIQL supports AND only');
+  }
+  const re = /(?:\[(Source|Target)\]\.)?\[([\w.]+)\]\s*(=|<>|IN)\s*(\((?:[^()']|'(?:[^']|'')*')*\)|'(?:[^']|'')*'|-?\d+(?:\.\d+)?)/gi;
+  const conds = [...where.matchAll(re)].map(m => ({
+    side: m[1]?.toLowerCase() || null,
+    field: m[2],
+    op: m[3].toUpperCase(),
+    value: m[4].startsWith('(')
+      ? (m[4].slice(1, -1).match(/'(?:[^']|'')*'|[^,\s]+/g) || []).map(parseLiteral)
+      : parseLiteral(m[4])
+  }));
+  return { from, mode, conds };
+}
+
+function fieldValue(item, field) {
+  if (field === 'System.Id') return item.id;
+  const v = item.fields[field];
+  return v && typeof v === 'object' ? v.displayName : v;
+}
+
+function matches(item, conds) {
+  const norm = v => (typeof v === 'string' ? v.toLowerCase() : v);
+  return conds.every(c => {
+    const v = norm(fieldValue(item, c.field));
+    if (c.op === 'IN') return c.value.map(norm).includes(v);
+    return c.op === '=' ? v === norm(c.value) : v !== norm(c.value);
+  });
+}
+
+// --- the mock --------------------------------------------------------------------
+
+/**
+ * Express router answering `/{org}/_apis/...` (and project scoped create
+ * calls) like Azure DevOps would, for any organisation name.
+ * @param {object} fixtures - Parsed fixture file (see above).
+ */
+export function createMockAdo(fixtures) {
+  const users = fixtures.users?.length
+    ? fixtures.users
+    : [{ id: 'mock-user', displayName: 'Mock User', uniqueName: 'mock@example.com' }];
+  const items = new Map();
+  let links = (fixtures.links || []).map(([s, t]) => [Number(s), Number(t)]);
+  let nextUpdateId = 1;
+
+  const identity = v => {
+    if (v == null || typeof v === 'object') return v;
+    const u = users.find(x => x.displayName === v || x.uniqueName === v);
+    return u ? { id: u.id, displayName: u.displayName, uniqueName: u.uniqueName } : { displayName: v, uniqueName: v };
+  };
+  const normalise = (field, v) => (IDENTITY_FIELDS.includes(field) ? identity(relativeDate(v)) : relativeDate(v));
+
+  /** Apply `changes` as one new revision of `item` */
+  function revise(item, changes, by, date = new Date().toISOString()) {
+    const fields = {};
+    const all = { ...changes, 'System.ChangedDate': date, 'System.ChangedBy': by };
+    for (const [ref, raw] of Object.entries(all)) {
+      const value = raw === undefined ? undefined : normalise(ref, raw);
+      const old = item.fields[ref];
+      if (value === undefined) delete item.fields[ref];
+      else item.fields[ref] = value;
+      fields[ref] = { oldValue: old, newValue: value };
+    }
+    item.rev += 1;
+    item.fields['System.Rev'] = item.rev;
+    fields['System.Rev'] = { oldValue: item.rev - 1, newValue: item.rev };
+    item.updates.forEach(u => { if (u.revisedDate.startsWith('9999')) u.revisedDate = date; });
+    item.updates.push({
+      id: nextUpdateId++,
+      workItemId: item.id,
+      rev: item.rev,
+      revisedBy: identity(by),
+      revisedDate: '9999-01-01T00:00:00Z',
+      fields
+    });
+  }
+
+  // seed: replay the history (if any) so updates and final values agree
+  for (const w of fixtures.workItems || []) {
+    const final = Object.fromEntries(Object.entries(w.fields).map(([k, v]) => [k, normalise(k, v)]));
+    const item = { id: Number(w.id), rev: 0, fields: { 'System.Id': Number(w.id) }, updates: [] };
+    const history = fixtures.history?.[w.id] || [];
+    const created = relativeDate(final['System.CreatedDate'] || history[0]?.date || '@today-30');
+    const owner = users[0].displayName;
+    revise(item, history.length ? { ...final, ...history[0].fields } : final, history[0]?.by || owner, created);
+    for (const h of history.slice(1)) revise(item, h.fields, h.by || owner, relativeDate(h.date));
+    // whatever the history did not reach is the current state
+    const rest = Object.entries(final).filter(([k, v]) => JSON.stringify(item.fields[k]) !== JSON.stringify(v));
+    if (rest.length) revise(item, Object.fromEntries(rest), owner, item.fields['System.ChangedDate']);
+    items.set(item.id, item);
+  }
+
+  const router = express.Router();
+
+  // token ➜ user; unknown tokens act as the PAT owner (first user)
+  router.use((req, res, next) => {
+    const m = /^Basic\s+(.+)$/i.exec(req.get('authorization') || '');
+    const token = m ? Buffer.from(m[1], 'base64').toString('utf8').split(':').slice(1).join(':') : '';
+    req.mockUser = users.find(u => u.token && u.token === token) || null;
+    req.actingAs = (req.mockUser || users[0]).displayName;
+    next();
+  });
+
+  const itemUrl = (req, id) => `${req.protocol}://${req.get('host')}${req.baseUrl}/${req.params.org}/_apis/wit/workItems/${id}`;
+  const getItem = id => {
+    const item = items.get(Number(id));
+    if (!item) throw new MockError(404, `TF401232: Work item ${id} does not exist.`, 'WorkItemUnauthorizedAccessException');
+    return item;
+  };
+  const pick = (item, fields) => (fields?.length
+    ? Object.fromEntries(fields.filter(f => item.fields[f] !== undefined).map(f => [f, item.fields[f]]))
+    : { ...item.fields });
+
+  function relationsOf(req, item) {
+    const rels = [];
+    if (item.fields['System.Parent']) {
+      rels.push({ rel: HIERARCHY_REVERSE, url: itemUrl(req, item.fields['System.Parent']) });
+    }
+    for (const [s, t] of links) {
+      if (s === item.id) rels.push({ rel: DEPENDENCY_FORWARD, url: itemUrl(req, t) });
+    }
+    return rels;
+  }
+
+  const children = id => [...items.values()].filter(i => Number(i.fields['System.Parent']) === id);
+
+  function runLinkQuery({ mode, conds }) {
+    const type = conds.find(c => c.field === 'System.Links.LinkType')?.value;
+    const source = conds.filter(c => c.side === 'source');
+    const target = conds.filter(c => c.side === 'target');
+    const out = [];
+    const linked = id => (type === DEPENDENCY_FORWARD
+      ? links.filter(([s]) => s === id).map(([, t]) => items.get(t)).filter(Boolean)
+      : children(id));
+
+    for (const s of [...items.values()].filter(i => matches(i, source))) {
+      if (mode === 'recursive') {
+        out.push({ rel: null, source: null, target: { id: s.id } });
+        const walk = parent => {
+          for (const c of linked(parent.id).filter(i => matches(i, target))) {
+            out.push({ rel: type, source: { id: parent.id }, target: { id: c.id } });
+            walk(c);
+          }
+        };
+        walk(s);
+      } else {
+        for (const t of linked(s.id).filter(i => matches(i, target))) {
+          out.push({ rel: type, source: { id: s.id }, target: { id: t.id } });
+        }
+      }
+    }
+    return out;
+  }
+
+  /** Apply JSON-Patch `ops` to `item` as one revision */
+  function applyPatch(req, item, ops) {
+    const changes = {};
+    for (const o of ops) {
+      if (o.path === '/rev') {
+        if (o.op === 'test' && o.value !== item.rev) {
+          throw new MockError(412, `TF26071: This work item has been changed by someone else since you opened it. (rev ${item.rev})`);
+        }
+        continue;
+      }
+      const field = /^\/fields\/(.+)$/.exec(o.path || '')?.[1];
+      if (field) {
+        if (!field.includes('.')) throw new MockError(400, `TF51535: Cannot find field ${field}.`);
+        if (o.op === 'test') continue;
+        changes[field] = o.op === 'remove' ? undefined : o.value;
+        continue;
+      }
+      if (o.path === '/relations/-' && o.op === 'add') {
+        const target = Number(String(o.value?.url).split('/').pop());
+        getItem(target);
+        if (o.value.rel === DEPENDENCY_FORWARD) links.push([item.id, target]);
+        else if (o.value.rel === HIERARCHY_REVERSE) changes['System.Parent'] = target;
+        else throw new MockError(400, `Unsupported relation ${o.value.rel}`);
+        continue;
+      }
+      const index = /^\/relations\/(\d+)$/.exec(o.path || '')?.[1];
+      if (index != null && o.op === 'remove') {
+        const rel = relationsOf(req, item)[Number(index)];
+        if (!rel) throw new MockError(400, `Relation ${index} does not exist`);
+        const target = Number(rel.url.split('/').pop());
+        if (rel.rel === HIERARCHY_REVERSE) changes['System.Parent'] = undefined;
+        else links = links.filter(([s, t]) => !(s === item.id && t === target));
+        continue;
+      }
+      throw new MockError(400, `Unsupported patch operation ${o.op} ${o.path}`);
+    }
+    revise(item, changes, req.actingAs);
+  }
+
+  const view = (req, item, fields, expand) => ({
+    id: item.id,
+    rev: item.rev,
+    fields: pick(item, fields),
+    ...(expand && { relations: relationsOf(req, item) }),
+    url: itemUrl(req, item.id)
+  });
+
+  // async-free handlers – errors become ADO shaped responses
+  const handle = fn => (req, res) => {
+    try {
+      res.json(fn(req, res));
+    } catch (err) {
+      if (!(err instanceof MockError)) throw err;
+      res.status(err.status).json({ message: err.message, typeKey: err.typeKey || 'MockException' });
+    }
+  };
+
+  router.get('/:org/_apis/connectionData', (req, res) => {
+    if (!req.mockUser) return res.status(401).json({ message: 'TF400813: The user is not authorized to access this resource.' });
+    const u = req.mockUser;
+    res.json({
+      authenticatedUser: {
+        id: u.id,
+        providerDisplayName: u.displayName,
+        properties: { Account: { $type: 'System.String', $value: u.uniqueName } }
+      }
+    });
+  });
+
+  router.get('/:org/_apis/projects', handle(() => {
+    const value = (fixtures.projects || []).map(({ teams, ...p }) => p);
+    return { count: value.length, value };
+  }));
+
+  router.get('/:org/_apis/projects/:id/teams', handle(req => {
+    const p = (fixtures.projects || []).find(x => x.id === req.params.id || x.name === req.params.id);
+    if (!p) throw new MockError(404, `Project ${req.params.id} not found`);
+    return { count: (p.teams || []).length, value: p.teams || [] };
+  }));
+
+  router.post('/:org/_apis/wit/wiql', handle(req => {
+    const q = parseWiql(String(req.body?.query || ''));
+    if (q.from === 'workitemlinks') return { queryType: 'oneHop', workItemRelations: runLinkQuery(q) };
+    const workItems = [...items.values()].filter(i => matches(i, q.conds)).map(i => ({ id: i.id }));
+    return { queryType: 'flat', workItems };
+  }));
+
+  router.post('/:org/_apis/wit/workitemsbatch', handle(req => {
+    const { ids = [], fields } = req.body || {};
+    if (ids.length > 200) throw new MockError(400, 'VS403474: more than 200 ids requested');
+    const value = ids.map(id => items.get(Number(id))).filter(Boolean).map(i => view(req, i, fields));
+    return { count: value.length, value };
+  }));
+
+  router.get('/:org/_apis/wit/workitems/:id/updates', handle(req => {
+    const item = getItem(req.params.id);
+    const top = Number(req.query.$top) || 200;
+    const skip = Number(req.query.$skip) || 0;
+    const value = item.updates.slice(skip, skip + top);
+    return { count: value.length, value };
+  }));
+
+  router.get('/:org/_apis/wit/workitems/:id', handle(req => {
+    const fields = req.query.fields ? String(req.query.fields).split(',') : null;
+    return view(req, getItem(req.params.id), fields, /relations|all/i.test(req.query.$expand || ''));
+  }));
+
+  router.patch('/:org/_apis/wit/workitems/:id', handle(req => {
+    const item = getItem(req.params.id);
+    applyPatch(req, item, Array.isArray(req.body) ? req.body : []);
+    return view(req, item, null, true);
+  }));
+
+  // work item $batch: independent PATCHes, one response record each
+  router.post('/:org/_apis/wit/:op', (req, res, next) => {
+    if (req.params.op !== '$batch') return next();
+    const value = (Array.isArray(req.body) ? req.body : []).map(r => {
+      const id = /\/workitems\/(\d+)/i.exec(r.uri || '')?.[1];
+      try {
+        if (r.method !== 'PATCH' || !id) throw new MockError(400, `Unsupported batch request ${r.method} ${r.uri}`);
+        const item = getItem(id);
+        applyPatch(req, item, Array.isArray(r.body) ? r.body : []);
+        return { code: 200, body: JSON.stringify(view(req, item, null, true)) };
+      } catch (err) {
+        if (!(err instanceof MockError)) throw err;
+        return { code: err.status, body: JSON.stringify({ message: err.message, typeKey: err.typeKey || 'MockException' }) };
+      }
+    });
+    res.json({ count: value.length, value });
+  });
+
+  router.post('/:org/:project/_apis/wit/workitems/:type', handle(req => {
+    const type = req.params.type.replace(/^\$/, '');
+    const id = Math.max(0, ...items.keys()) + 1;
+    const item = { id, rev: 0, fields: { 'System.Id': id }, updates: [] };
+    revise(item, {
+      'System.WorkItemType': type,
+      'System.TeamProject': req.params.project,
+      'System.State': 'New',
+      'System.CreatedDate': new Date().toISOString(),
+      'System.CreatedBy': req.actingAs
+    }, req.actingAs);
+    items.set(id, item);
+    try {
+      applyPatch(req, item, Array.isArray(req.body) ? req.body : []);
+    } catch (err) {
+      items.delete(id);
+      throw err;
+    }
+    return view(req, item, null, true);
+  }));
+
+  return router;
+}
+
+/** Read a fixture file (see the format at the top) */
+export function loadFixtures(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
@@ -0,0 +1,147 @@
+// -------------------------------------------------------------
+// lib/patch.js - check and normalise JSON-Patch bodies before they
+// are sent to ADO, and unpack ADO's field validation errors
+// -------------------------------------------------------------
+import { workItemId } from './wiql.js';
+
+const OPS = ['add', 'replace', 'remove', 'test'];
+
+/** Patch the caller sent that cannot be forwarded; `errors` per operation */
+export class PatchError extends Error {
+  constructor(errors) {
+    super(errors.map(e => `${e.path || `#${e.op}`}: ${e.message}`).join('; '));
+    this.name = 'PatchError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Fields the dashboard may change, reference name ➜ value kind. Scheduling
+ * and billing fields come from the planner config.
+ */
+export function editableFields(config) {
+  const { fields } = config;
+  return new Map([
+    ['System.Title', 'text'],
+    ['System.AssignedTo', 'identity'],
+    ['System.State', 'text'],
+    ['System.Parent', 'id'],
+    [fields.startDate, 'date'],
+    [fields.finishDate, 'date'],
+    [fields.dueDate, 'date'],
+    [fields.originalEstimate, 'hours'],
+    [fields.completedWork, 'hours'],
+    [fields.billable, 'bool']
+  ]);
+}
+
+/**
+ * Alias ➜ reference name, case-insensitive: the reference name itself,
+ * its last segment (StartDate, Title) and the planner config key
+ * (startDate, originalEstimate).
+ */
+function fieldAliases(config, editable) {
+  const aliases = new Map();
+  for (const ref of editable.keys()) {
+    aliases.set(ref.toLowerCase(), ref);
+    aliases.set(ref.split('.').pop().toLowerCase(), ref);
+  }
+  for (const [key, ref] of Object.entries(config.fields)) aliases.set(key.toLowerCase(), ref);
+  return aliases;
+}
+
+function normaliseValue(kind, value) {
+  switch (kind) {
+    case 'date': {
+      const d = new Date(value);
+      if (value == null || value === '' || isNaN(d)) throw new Error(`"${value}" is not a date`);
+      return d.toISOString();
+    }
+    case 'hours': {
+      const n = typeof value === 'string' ? Number(value.replace(',', '.')) : value;
+      if (typeof n !== 'number' || !Number.isFinite(n) || n < 0) throw new Error(`"${value}" is not a number of hours`);
+      return n;
+    }
+    case 'bool':
+      if (typeof value === 'string') return ['yes', 'true', '1'].includes(value.trim().toLowerCase());
+      return !!value;
+    case 'id':
+      return workItemId(value);
+    case 'text':
+      if (typeof value !== 'string' || !value.trim()) throw new Error('must be a non-empty text');
+      return value.trim();
+    case 'identity':
+      if (typeof value !== 'string') throw new Error('must be a name or e-mail address');
+      return value.trim();
+    default:
+      return value;
+  }
+}
+
+/**
+ * Validate a JSON-Patch array for a work item update: known ops only,
+ * `/fields/<alias>` paths resolved to editable reference names, values
+ * converted (dates ➜ ISO, hours ➜ number, billable ➜ boolean). The one
+ * other path allowed is `{op: 'test', path: '/rev'}` for concurrency checks.
+ * @param {object[]} ops
+ * @param {object} config - Planner config.
+ * @returns {object[]} Operations ready for ADO.
+ * @throws {PatchError} listing every rejected operation.
+ */
+export function normalizePatch(ops, config) {
+  if (!Array.isArray(ops)) throw new PatchError([{ op: null, path: null, message: 'body must be a JSON-Patch array' }]);
+  const editable = editableFields(config);
+  const aliases = fieldAliases(config, editable);
+  const errors = [];
+
+  const out = ops.map((o, i) => {
+    const fail = (message, field = null) => { errors.push({ op: i, path: o?.path ?? null, field, message }); };
+    if (!o || !OPS.includes(o.op)) return fail(`unsupported op "${o?.op}" (allowed: ${OPS.join(', ')})`);
+    if (o.path === '/rev') {
+      if (o.op !== 'test') return fail('/rev can only be tested');
+      if (!Number.isSafeInteger(o.value) || o.value <= 0) return fail(`"${o.value}" is not a revision`);
+      return { op: 'test', path: '/rev', value: o.value };
+    }
+
+    const m = /^\/fields\/([^/]+)$/.exec(o.path || '');
+    if (!m) return fail('only /fields/<name> paths can be patched');
+    const ref = aliases.get(m[1].toLowerCase());
+    if (!ref) return fail(`field "${m[1]}" is not editable`);
+
+    if (o.op === 'remove') return { op: 'remove', path: `/fields/${ref}` };
+    try {
+      return { op: o.op, path: `/fields/${ref}`, value: normaliseValue(editable.get(ref), o.value) };
+    } catch (err) {
+      return fail(err.message, ref);
+    }
+  });
+
+  if (errors.length) throw new PatchError(errors);
+  return out;
+}
+
+/**
+ * Field-level messages from an ADO error response (RuleValidationException
+ * and friends); falls back to the overall message.
+ * @returns {Array<{field: string|null, message: string}>}
+ */
+export function adoFieldErrors(data) {
+  const rules = data?.customProperties?.RuleValidationErrors;
+  if (Array.isArray(rules) && rules.length) {
+    return rules.map(r => ({ field: r.fieldReferenceName || null, message: r.errorMessage }));
+  }
+  const field = data?.customProperties?.ReferenceName || data?.customProperties?.FieldReferenceName || null;
+  return data?.message ? [{ field, message: data.message }] : [];
+}
+
+/**
+ * Did ADO refuse the update because `test /rev` failed, i.e. someone else
+ * saved the work item in the meantime?
+ */
+export function isRevisionConflict(err) {
+  const status = err?.response?.status;
+  const data = err?.response?.data;
+  return status === 409 || status === 412 ||
+    /TF26071|TF401289/.test(data?.message || '') ||
+    /TestOperation|RevisionMismatch/i.test(data?.typeKey || '');
+}
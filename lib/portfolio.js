@@ -0,0 +1,104 @@
+// -------------------------------------------------------------
+// lib/portfolio.js - several project trees as one plan, with people
+// booked on more than one project at a time
+// -------------------------------------------------------------
+import { buildCapacity, UNASSIGNED } from './capacity.js';
+import { dayKey } from './calendar.js';
+
+// conflicts are looked for this far ahead at most
+const HORIZON_WEEKS = 52;
+
+const round1 = n => Math.round(n * 10) / 10;
+
+// calendar days, not 24 h steps – weeks across a DST change are an hour short or long
+function addDays(d, n) {
+  const x = new Date(d);
+  x.setDate(x.getDate() + n);
+  return x;
+}
+
+/**
+ * Merge project trees into one row list. Each project row carries the
+ * totals of its leaf rows (est / done / earliest start / latest finish) so
+ * it can be shown as a collapsed summary bar. Rows that hang below several
+ * projects are kept once, under the first.
+ *
+ * Conflicts are weeks in which a person's open work is over their
+ * calendar capacity and comes from two or more projects.
+ *
+ * @param {Array<{project: {id: number, title: string, state: string},
+ *   rows?: object[], links?: object[], error?: string}>} trees
+ * @param {object} opts
+ * @param {object} opts.cal - Calendar config from loadCalendar.
+ * @param {string} [opts.team] - Team whose holidays apply.
+ * @param {object} opts.config - Planner config.
+ * @param {Date} [opts.now]
+ */
+export function buildPortfolio(trees, { cal, team, config, now = new Date() }) {
+  const seen = new Set();
+  const projectOf = new Map();            // row id ➜ project id
+  const rows = [];
+  const links = new Map();
+  const projects = [];
+
+  for (const { project, rows: treeRows = [], links: treeLinks = [], error } of trees) {
+    if (error) {
+      projects.push({ ...project, error });
+      continue;
+    }
+    const own = treeRows.filter(r => !seen.has(r.id));
+    own.forEach(r => { seen.add(r.id); projectOf.set(r.id, project.id); });
+    const parents = new Set(own.map(r => r.parent).filter(p => p != null));
+    const leaves = own.filter(r => !parents.has(r.id) && r.id !== project.id);
+    const dates = key => leaves.map(r => r[key] && new Date(r[key]).getTime()).filter(Boolean);
+
+    const summary = {
+      ...project,
+      est: round1(leaves.reduce((s, r) => s + (r.est || 0), 0)),
+      done: round1(leaves.reduce((s, r) => s + (r.done || 0), 0)),
+      start: dates('start').length ? new Date(Math.min(...dates('start'))).toISOString() : null,
+      finish: dates('finish').length ? new Date(Math.max(...dates('finish'))).toISOString() : null,
+      rowCount: own.length
+    };
+    summary.progress = summary.est ? round1(Math.min(1, summary.done / summary.est) * 100) / 100 : 0;
+    projects.push(summary);
+
+    for (const r of own) {
+      rows.push(r.id === project.id
+        ? { ...r, est: summary.est, done: summary.done, start: summary.start ?? r.start, finish: summary.finish ?? r.finish }
+        : r);
+    }
+    treeLinks.forEach(l => links.set(l.id, l));
+  }
+
+  // --- shared people over capacity --------------------------------------------
+  const finishes = rows.map(r => r.finish && new Date(r.finish).getTime()).filter(Boolean);
+  const horizon = Math.min(Math.max(addDays(now, 7).getTime(), ...finishes), addDays(now, HORIZON_WEEKS * 7).getTime());
+  const capacity = buildCapacity(rows, { cal, team, from: now, to: new Date(horizon), unit: 'week', config });
+  const taskRows = new Map(rows.map(r => [r.id, r]));
+  const titles = new Map(projects.map(p => [p.id, p.title]));
+
+  const conflicts = [];
+  for (const person of capacity.people.filter(p => p.name !== UNASSIGNED)) {
+    person.over.forEach((over, i) => {
+      if (!over) return;
+      const weekStart = new Date(`${capacity.buckets[i]}T00:00:00`);
+      const weekEnd = addDays(weekStart, 7);
+      // overdue work is booked on the first week, like buildCapacity does
+      const tasks = person.tasks.map(id => taskRows.get(id)).filter(r =>
+        new Date(r.start) < weekEnd && (new Date(r.finish) > weekStart || (i === 0 && new Date(r.finish) <= weekStart)));
+      const projectIds = [...new Set(tasks.map(r => projectOf.get(r.id)))];
+      if (projectIds.length < 2) return;
+      conflicts.push({
+        person: person.name,
+        week: dayKey(weekStart),
+        load: person.load[i],
+        capacity: person.capacity[i],
+        projects: projectIds.map(id => ({ id, title: titles.get(id) })),
+        tasks: tasks.map(r => r.id)
+      });
+    });
+  }
+
+  return { projects, rows, links: [...links.values()], conflicts };
+}
@@ -0,0 +1,106 @@
+// -------------------------------------------------------------
+// lib/quality.js - data-quality rules run over the rows of a tree
+// -------------------------------------------------------------
+import { phaseKey } from './config.js';
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * Every rule sees one row plus the tree around it and returns a message
+ * when the row breaks it. Severities are set (or rules switched off) in
+ * the `quality` section of the planner config.
+ */
+export const RULES = {
+  missingDate: {
+    title: 'No due or finish date',
+    leafOnly: true,
+    check: r => (!r.dated ? 'No due or finish date' : null)
+  },
+  missingEstimate: {
+    title: 'No original estimate',
+    leafOnly: true,
+    check: r => (!(r.est > 0) ? 'No original estimate' : null)
+  },
+  missingBillable: {
+    title: 'Billable not set',
+    leafOnly: true,
+    check: r => (r.billable == null ? 'Billable not set' : null)
+  },
+  missingAssignee: {
+    title: 'Nobody assigned',
+    leafOnly: true,
+    check: (r, t) => (!r.assignedTo && !t.closed(r) ? 'Nobody assigned' : null)
+  },
+  overEstimate: {
+    title: 'Completed work exceeds the estimate',
+    leafOnly: true,
+    check: r => (r.est > 0 && r.done > r.est ? `${r.done} h done of ${r.est} h estimated` : null)
+  },
+  overdue: {
+    title: 'Finish date passed but not closed',
+    check: (r, t) => (r.dated && !t.closed(r) && new Date(r.finish).getTime() < t.now
+      ? `Finish date ${new Date(r.finish).toISOString().slice(0, 10)} has passed (state ${r.state})`
+      : null)
+  },
+  afterPhase: {
+    title: 'Finishes after its phase',
+    check: (r, t) => {
+      const phase = t.rows.get(r.parent);
+      if (!phase || !t.isPhase(phase) || !phase.dated || !r.dated) return null;
+      return new Date(r.finish) > new Date(phase.finish)
+        ? `Finishes after phase "${phase.name}" (${new Date(phase.finish).toISOString().slice(0, 10)})`
+        : null;
+    }
+  },
+  noPhase: {
+    title: 'Task outside of any phase',
+    leafOnly: true,
+    check: (r, t) => {
+      if (r.type !== t.config.types.task || t.isPhase(r)) return null;
+      for (let p = t.rows.get(r.parent); p; p = t.rows.get(p.parent)) {
+        if (t.isPhase(p)) return null;
+      }
+      return 'Not below any phase';
+    }
+  }
+};
+
+/**
+ * Run the enabled rules over `rows` (with `parent` set and dates as
+ * planned, i.e. before phase aggregation).
+ * @param {object[]} rows
+ * @param {object} config - Planner config (types, closedStates, quality).
+ * @param {number} [now]
+ * @returns {Array<{id: number, name: string, rule: string, severity: string, message: string}>}
+ */
+export function checkQuality(rows, config, now = Date.now()) {
+  const byId = new Map(rows.map(r => [r.id, r]));
+  const parents = new Set(rows.map(r => r.parent).filter(p => p != null));
+  const closed = new Set(config.closedStates.map(s => s.toLowerCase()));
+  const tree = {
+    rows: byId,
+    now,
+    config,
+    closed: r => closed.has(String(r.state || '').toLowerCase()),
+    isPhase: r => phaseKey(r.name, config) != null
+  };
+
+  const problems = [];
+  for (const r of rows) {
+    const leaf = !parents.has(r.id);
+    for (const [rule, def] of Object.entries(RULES)) {
+      const severity = config.quality[rule];
+      if (severity === 'off' || (def.leafOnly && !leaf)) continue;
+      const message = def.check(r, tree);
+      if (message) problems.push({ id: r.id, name: r.name, rule, severity, message });
+    }
+  }
+  return problems;
+}
+
+/** Problem counts per severity */
+export function countBySeverity(problems) {
+  const counts = Object.fromEntries(SEVERITIES.map(s => [s, 0]));
+  problems.forEach(p => counts[p.severity]++);
+  return counts;
+}
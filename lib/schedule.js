@@ -0,0 +1,166 @@
+// -------------------------------------------------------------
+// lib/schedule.js - forward scheduling levelled by assignee capacity
+// -------------------------------------------------------------
+import { calendarFor, dayKey, isWorkingDay } from './calendar.js';
+import { phaseKey } from './config.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+// Give up looking for free capacity after ~10 years; only hit on broken calendars
+const MAX_DAYS = 3660;
+
+const round1 = n => Math.round(n * 10) / 10;
+
+/** Opening time of the working window on the day of `d` */
+function openOf(d, rules) {
+  const open = new Date(d);
+  open.setHours(0, 0, 0, 0);
+  return new Date(open.getTime() + rules.workStart * HOUR_MS);
+}
+
+function nextOpen(d, rules) {
+  const x = new Date(d);
+  x.setDate(x.getDate() + 1);
+  return openOf(x, rules);
+}
+
+/**
+ * Finish-to-start predecessors of every activity: dependency links plus
+ * phase order (all of P1 before any of P2 below the same parent).
+ */
+function predecessors(activities, rows, links, config) {
+  const byId = new Map(rows.map(r => [r.id, r]));
+  const ids = new Set(activities.map(a => a.id));
+  const preds = new Map(activities.map(a => [a.id, new Set()]));
+  for (const l of links) {
+    if (ids.has(l.source) && ids.has(l.target) && l.source !== l.target) preds.get(l.target).add(l.source);
+  }
+
+  // phase of an activity: nearest phase ancestor
+  const phaseOf = new Map();
+  for (const a of activities) {
+    for (let p = byId.get(a.parent); p; p = byId.get(p.parent)) {
+      if (phaseKey(p.name, config) != null) {
+        phaseOf.set(a.id, p);
+        break;
+      }
+    }
+  }
+  const order = p => Number(phaseKey(p.name, config)) || 0;
+  for (const a of activities) {
+    const mine = phaseOf.get(a.id);
+    if (!mine || !order(mine)) continue;
+    for (const b of activities) {
+      const other = phaseOf.get(b.id);
+      if (other && other.parent === mine.parent && order(other) && order(other) < order(mine)) {
+        preds.get(a.id).add(b.id);
+      }
+    }
+  }
+  return { preds, phaseOf };
+}
+
+/**
+ * Propose start / finish dates for the open tasks of a tree: remaining
+ * effort (estimate minus completed work) is booked day by day into each
+ * assignee's calendar capacity, no earlier than `from` and not before the
+ * task's predecessors finish. Tasks are placed in dependency order, ties
+ * going to the earlier currently planned finish. Unassigned work is not
+ * levelled – nobody's capacity limits it.
+ *
+ * @param {object[]} rows - Ordered rows of a tree (parent, est, done, start, finish).
+ * @param {object[]} links - {source, target} finish-to-start links.
+ * @param {object} opts
+ * @param {object} opts.cal - Calendar config from loadCalendar.
+ * @param {object} opts.config - Planner config (types, closed states, phases).
+ * @param {Date} opts.from - Nothing is scheduled before this.
+ * @returns {{from: string, tasks: object[], cycles: number[]}}
+ *   `late` tasks finish after the demand item they belong to.
+ */
+export function autoSchedule(rows, links, { cal, config, from }) {
+  const parents = new Set(rows.map(r => r.parent).filter(p => p != null));
+  const closed = new Set(config.closedStates.map(s => s.toLowerCase()));
+  const activities = rows.filter(r =>
+    r.type === config.types.task && !parents.has(r.id) && phaseKey(r.name, config) == null &&
+    !closed.has(String(r.state || '').toLowerCase()) && (r.est || 0) - (r.done || 0) > 0);
+  const { preds, phaseOf } = predecessors(activities, rows, links, config);
+  const rowById = new Map(rows.map(r => [r.id, r]));
+  const deadlineOf = a => {
+    for (let p = rowById.get(a.parent); p; p = rowById.get(p.parent)) {
+      if (p.type === config.types.demand) return p.finish ? new Date(p.finish) : null;
+    }
+    return null;
+  };
+
+  // priority: dependency order, then current finish, then tree order
+  const position = new Map(rows.map((r, i) => [r.id, i]));
+  const rank = (a, b) =>
+    (new Date(a.finish) - new Date(b.finish)) || (position.get(a.id) - position.get(b.id));
+  const waiting = new Map(activities.map(a => [a.id, preds.get(a.id).size]));
+  const succ = new Map(activities.map(a => [a.id, []]));
+  preds.forEach((ps, id) => ps.forEach(p => succ.get(p).push(id)));
+  const ready = activities.filter(a => !waiting.get(a.id));
+  const ordered = [];
+  const byId = new Map(activities.map(a => [a.id, a]));
+  while (ready.length) {
+    ready.sort(rank);
+    const a = ready.shift();
+    ordered.push(a);
+    for (const s of succ.get(a.id)) {
+      waiting.set(s, waiting.get(s) - 1);
+      if (!waiting.get(s)) ready.push(byId.get(s));
+    }
+  }
+  // whatever is left sits on a dependency cycle – place it in tree order
+  const cycles = activities.filter(a => waiting.get(a.id) > 0).map(a => a.id);
+  ordered.push(...activities.filter(a => waiting.get(a.id) > 0));
+
+  const booked = new Map();            // person ➜ dayKey ➜ hours used from the opening
+  const finishOf = new Map();
+  const tasks = [];
+  for (const a of ordered) {
+    const person = a.assignedTo || null;
+    const rules = calendarFor(cal, { team: a.team, person });
+    const days = person ? (booked.get(person) ?? booked.set(person, new Map()).get(person)) : new Map();
+    const earliest = new Date(Math.max(from.getTime(),
+      ...[...preds.get(a.id)].map(p => finishOf.get(p)?.getTime() ?? 0)));
+
+    let remaining = a.est - (a.done || 0);
+    let start = null;
+    let finish = null;
+    let cursor = earliest;
+    for (let i = 0; i < MAX_DAYS && remaining > 1e-9; i++, cursor = nextOpen(cursor, rules)) {
+      if (!isWorkingDay(cursor, rules)) continue;
+      const open = openOf(cursor, rules);
+      const key = dayKey(cursor);
+      const used = Math.max(days.get(key) || 0, (cursor - open) / HOUR_MS);
+      const take = Math.min(rules.hoursPerDay - used, remaining);
+      if (take <= 1e-9) continue;
+      start ??= new Date(open.getTime() + used * HOUR_MS);
+      days.set(key, used + take);
+      remaining -= take;
+      finish = new Date(open.getTime() + (used + take) * HOUR_MS);
+    }
+    finishOf.set(a.id, finish);
+    tasks.push({
+      id: a.id,
+      name: a.name,
+      assignedTo: a.assignedTo || '',
+      phase: phaseOf.get(a.id)?.name || null,
+      hours: round1(a.est - (a.done || 0)),
+      start: start?.toISOString() ?? null,
+      finish: finish?.toISOString() ?? null,
+      currentStart: a.start ? new Date(a.start).toISOString() : null,
+      currentFinish: a.finish ? new Date(a.finish).toISOString() : null,
+      predecessors: [...preds.get(a.id)],
+      deadline: deadlineOf(a)?.toISOString() ?? null,
+      late: !!(finish && deadlineOf(a) && finish > deadlineOf(a))
+    });
+  }
+
+  tasks.sort((a, b) => position.get(a.id) - position.get(b.id));
+  return {
+    from: from.toISOString(),
+    tasks,
+    cycles
+  };
+}
@@ -0,0 +1,65 @@
+// -------------------------------------------------------------
+// lib/serviceHook.js - ADO service hook (web hook) payloads
+// -------------------------------------------------------------
+import { timingSafeEqual } from 'crypto';
+
+const EVENTS = {
+  'workitem.created': 'created',
+  'workitem.updated': 'updated',
+  'workitem.deleted': 'deleted',
+  'workitem.restored': 'restored'
+};
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && timingSafeEqual(x, y);
+}
+
+/**
+ * Does the request carry the shared secret? ADO can send it either as the
+ * basic auth password of the subscription or as a custom header
+ * (`X-Planner-Secret: <secret>`).
+ */
+export function hasSecret(req, secret) {
+  const header = req.get('x-planner-secret');
+  if (header) return safeEqual(header, secret);
+  const m = /^Basic\s+(.+)$/i.exec(req.get('authorization') || '');
+  if (!m) return false;
+  const decoded = Buffer.from(m[1], 'base64').toString('utf8');
+  return safeEqual(decoded.slice(decoded.indexOf(':') + 1), secret);
+}
+
+/** "https://dev.azure.com/olsom-net/" ➜ "olsom-net" */
+function orgFromUrl(url) {
+  const m = /^https?:\/\/dev\.azure\.com\/([^/]+)/i.exec(url || '') ||
+    /^https?:\/\/([^./]+)\.visualstudio\.com/i.exec(url || '');
+  return m ? decodeURIComponent(m[1]) : null;
+}
+
+/** Parent id from a fields map holding either plain values or {oldValue, newValue} */
+function parents(fields) {
+  const p = fields?.['System.Parent'];
+  if (p == null) return [];
+  return (typeof p === 'object' ? [p.oldValue, p.newValue] : [p]).filter(Boolean).map(Number);
+}
+
+/**
+ * Work item event of a service hook payload, or null for anything else.
+ * `related` are ids whose trees are affected too (old / new parent).
+ * @returns {{kind: string, org: string|null, id: number, related: number[]}|null}
+ */
+export function parseWorkItemEvent(body) {
+  const kind = EVENTS[body?.eventType];
+  if (!kind) return null;
+  const r = body.resource || {};
+  // updated events carry the update record, the item itself is in `revision`
+  const id = Number(kind === 'updated' ? (r.workItemId ?? r.revision?.id) : r.id);
+  if (!id) return null;
+  return {
+    kind,
+    org: orgFromUrl(body.resourceContainers?.account?.baseUrl || body.resourceContainers?.collection?.baseUrl),
+    id,
+    related: [...new Set([...parents(r.fields), ...parents(r.revision?.fields)])]
+  };
+}
@@ -0,0 +1,92 @@
+// -------------------------------------------------------------
+// lib/timesheet.js - CompletedWork deltas grouped for billing
+// -------------------------------------------------------------
+import { dayKey } from './calendar.js';
+import { fieldDeltas } from './history.js';
+
+export const TIMESHEET_COLUMNS = [
+  { key: 'date', header: 'Date' },
+  { key: 'person', header: 'Person' },
+  { key: 'project', header: 'Project' },
+  { key: 'phase', header: 'Phase' },
+  { key: 'taskId', header: 'Task ID' },
+  { key: 'task', header: 'Task' },
+  { key: 'billable', header: 'Billable' },
+  { key: 'hours', header: 'Hours' }
+];
+
+const round2 = n => Math.round(n * 100) / 100;
+
+function billableLabel(b) {
+  return b == null ? 'Unset' : (b ? 'Billable' : 'Non-billable');
+}
+
+/**
+ * Nearest ancestor (or the row itself) matching `test`.
+ * @param {Map<number, object>} byId
+ */
+function ancestor(row, byId, test) {
+  for (let r = row; r; r = byId.get(r.parent)) {
+    if (test(r)) return r;
+  }
+  return null;
+}
+
+/**
+ * One entry per CompletedWork change inside [from, to), attributed to the
+ * person who saved the revision, plus totals per person, project, phase
+ * and billable flag.
+ *
+ * @param {object[]} rows - Tree rows of one or more roots.
+ * @param {Map<number, object[]>} updatesById - Revision history per task id.
+ * @param {object} opts
+ * @param {Date} opts.from
+ * @param {Date} opts.to - Exclusive.
+ * @param {string[]} [opts.people] - Only keep these people (case-insensitive).
+ * @param {object} opts.config - Planner config (types, fields, phaseRe).
+ */
+export function buildTimesheet(rows, updatesById, { from, to, people = [], config }) {
+  const { fields, types, phaseRe } = config;
+  const byId = new Map(rows.map(r => [r.id, r]));
+  const wanted = people.map(p => p.toLowerCase());
+  const entries = [];
+
+  for (const [id, updates] of updatesById) {
+    const task = byId.get(id);
+    if (!task) continue;
+    const project = ancestor(task, byId, r => r.type === types.project || r.parent == null);
+    const phase = ancestor(task, byId, r => phaseRe.test(r.name || ''));
+
+    for (const d of fieldDeltas(updates, fields.completedWork)) {
+      if (d.date < from || d.date >= to || !d.delta) continue;
+      if (wanted.length && !wanted.includes(d.by.toLowerCase())) continue;
+      entries.push({
+        date: dayKey(d.date),
+        person: d.by || '(unknown)',
+        project: project?.name || '',
+        phase: phase?.name || '',
+        taskId: task.id,
+        task: task.name,
+        billable: billableLabel(task.billable),
+        hours: round2(d.delta)
+      });
+    }
+  }
+  entries.sort((a, b) => a.date.localeCompare(b.date) || a.person.localeCompare(b.person));
+
+  const totalBy = key => {
+    const acc = {};
+    for (const e of entries) acc[e[key]] = round2((acc[e[key]] || 0) + e.hours);
+    return acc;
+  };
+  return {
+    entries,
+    totals: {
+      hours: round2(entries.reduce((s, e) => s + e.hours, 0)),
+      byPerson: totalBy('person'),
+      byProject: totalBy('project'),
+      byPhase: totalBy('phase'),
+      byBillable: totalBy('billable')
+    }
+  };
+}
@@ -0,0 +1,82 @@
+// -------------------------------------------------------------
+// lib/wiql.js - build WIQL text without splicing raw user input
+// -------------------------------------------------------------
+
+/** Input that cannot be put into a query; routes answer it with 400 */
+export class WiqlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WiqlError';
+  }
+}
+
+// Already validated query text (field references, id lists)
+class Fragment {
+  constructor(text) {
+    this.text = text;
+  }
+}
+
+const FIELD_REF = /^[A-Za-z][\w]*(\.[\w-]+)+$/;
+const MAX_LITERAL = 1024;
+
+/** A work item id: positive integer, given as number or digit string */
+export function workItemId(value) {
+  const n = typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : value;
+  if (!Number.isSafeInteger(n) || n <= 0) throw new WiqlError(`Invalid work item id "${value}"`);
+  return n;
+}
+
+/** Field reference such as System.Title (Namespace.Name), rendered as [System.Title] */
+export function field(ref) {
+  if (typeof ref !== 'string' || !FIELD_REF.test(ref)) {
+    throw new WiqlError(`Invalid field reference "${ref}"`);
+  }
+  return new Fragment(`[${ref}]`);
+}
+
+/** Comma separated id list for IN (...); at least one id */
+export function idList(values) {
+  if (!values?.length) throw new WiqlError('Empty id list');
+  return new Fragment(values.map(workItemId).join(','));
+}
+
+/**
+ * WIQL literal: strings are quoted with embedded quotes doubled, numbers
+ * must be finite, dates become ISO strings.
+ */
+export function literal(value) {
+  if (value instanceof Fragment) return value.text;
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new WiqlError(`Invalid number "${value}"`);
+    return String(value);
+  }
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  if (value instanceof Date) {
+    if (isNaN(value)) throw new WiqlError('Invalid date');
+    return `'${value.toISOString()}'`;
+  }
+  if (typeof value !== 'string') throw new WiqlError(`Unsupported value "${value}"`);
+  if (value.length > MAX_LITERAL) throw new WiqlError(`Value longer than ${MAX_LITERAL} characters`);
+  if (/[\u0000-\u001f]/.test(value)) throw new WiqlError('Value contains control characters');
+  return `'${value.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Tagged template for WIQL. Interpolated values are rendered as literals,
+ * arrays as comma separated literal lists (for IN), and field() / idList()
+ * fragments as they are:
+ *
+ *   wiql`SELECT [System.Id] FROM WorkItems WHERE [System.Title] = ${title}`
+ */
+export function wiql(strings, ...values) {
+  return strings.reduce((out, s, i) => {
+    if (i >= values.length) return out + s;
+    const v = values[i];
+    if (Array.isArray(v)) {
+      if (!v.length) throw new WiqlError('Empty value list');
+      return out + s + v.map(literal).join(',');
+    }
+    return out + s + literal(v);
+  }, '');
+}
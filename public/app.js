@@ -7,21 +7,74 @@ function $id(id) {
   return document.getElementById(id);
 }
 
+/** Text from ADO (titles, names) made safe for innerHTML templates */
+function escapeHtml(s) {
+  return String(s ?? '').replace(/[<>&'"]/g, c =>
+    ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&#39;', '"': '&quot;' })[c]);
+}
+
 const teamPicker     = $id('teamPicker');
 const locationPicker = $id('locationPicker');
 const projectPicker  = $id('projectPicker');
+const portfolioPicker = $id('portfolioPicker');
+const portfolioPanel = $id('portfolioPanel');
 const zoomPicker     = $id('zoomPicker');
+const exportPicker   = $id('exportPicker');
+const importFile     = $id('importFile');
+const importPanel    = $id('importPanel');
 const phaseToggle    = $id('phaseToggle');
+const criticalToggle = $id('criticalToggle');
+const baselinePicker = $id('baselinePicker');
+const baselineSave   = $id('baselineSave');
+const baselineDelete = $id('baselineDelete');
+const scenarioPicker = $id('scenarioPicker');
+const scenarioNew    = $id('scenarioNew');
+const scenarioCommit = $id('scenarioCommit');
+const scenarioDelete = $id('scenarioDelete');
+const scenarioLink   = $id('scenarioLink');
+const scenarioPanel  = $id('scenarioPanel');
+const scheduleBtn    = $id('scheduleBtn');
+const schedulePanel  = $id('schedulePanel');
 const summaryDiv     = $id('summary');
+const capacityToggle = $id('capacityToggle');
+const capacityUnit   = $id('capacityUnit');
+const capacityPanel  = $id('capacityPanel');
+const burnToggle     = $id('burnToggle');
+const burnPanel      = $id('burnPanel');
+const burnMode       = $id('burnMode');
+const burnScope      = $id('burnScope');
+const budgetToggle   = $id('budgetToggle');
+const budgetWarnings = $id('budgetWarnings');
+const budgetPanel    = $id('budgetPanel');
+const refreshBtn     = $id('refreshBtn');
+const cacheStatus    = $id('cacheStatus');
+const undoBtn        = $id('undoBtn');
+const redoBtn        = $id('redoBtn');
+const auditToggle    = $id('auditToggle');
+const auditPanel     = $id('auditPanel');
+const problemsToggle = $id('problemsToggle');
+const problemsCount  = $id('problemsCount');
+const problemsPanel  = $id('problemsPanel');
+const editableBox    = $id('editableCheckbox');
+const userName       = $id('userName');
+const patInput       = $id('patInput');
+const loginBtn       = $id('loginBtn');
+const logoutBtn      = $id('logoutBtn');
 
 let allRows = [];
+let allLinks = [];
 let filteredRowsCached = [];
+let baselineRows = new Map();   // id ➜ row of the selected baseline
+let scenario = null;            // selected what-if scenario (items + diff), null = live data
+let portfolio = null;           // GET /api/portfolio while all projects are shown, else null
 let currentRootId = new URLSearchParams(location.search).get('id') || '14681';
 
 let ganttInited = false;
 // All dates are shown in European format for readability
 // Include time to avoid truncating short tasks
 const DATE_FMT = 'DD.MM.YYYY HH:mm';
+// Data-quality severities, worst first
+const SEVERITY_ORDER = ['error', 'warning', 'info'];
 
 // Helper: return up to two-character initials for the assignee column
 function getInitials(name = '') {
@@ -41,11 +94,17 @@ const taskDueInput      = $id('taskDue');
 const taskEstInput      = $id('taskEst');
 const taskBillableInput = $id('taskBillable');
 const taskDoneInput     = $id('taskDone');
+const taskAssigneeInput = $id('taskAssignee');
+const taskTypeInput     = $id('taskType');
+const taskTypeRow       = $id('taskTypeRow');
+const taskParentInput   = $id('taskParent');
+const taskEditorTitle   = $id('taskEditorTitle');
 const taskSaveBtn       = $id('taskSave');
 const taskCloseBtn      = $id('taskClose');
 
 function isEditable() {
-  return document.getElementById('editableCheckbox')?.checked;
+  // the portfolio is an overview; edits go through the single project view
+  return !portfolio && document.getElementById('editableCheckbox')?.checked;
 }
 
 function normalizeBool(v) {
@@ -55,17 +114,56 @@ function normalizeBool(v) {
   return !!v;
 }
 
-const IS_PHASE = name => /^P[1-9]/i.test(name);
-const PHASE_CLASS = p =>
-  /^P1/i.test(p) ? 'phase-1 phase-line' :
-  /^P2/i.test(p) ? 'phase-2 phase-line' :
-  /^P3/i.test(p) ? 'phase-3 phase-line' :
-  /^P4/i.test(p) ? 'phase-4 phase-line' :
-  /^P5/i.test(p) ? 'phase-5 phase-line' :
-  /^P6/i.test(p) ? 'phase-6 phase-line' :
-  /^P7/i.test(p) ? 'phase-7 phase-line' :
-  /^P8/i.test(p) ? 'phase-8 phase-line' :
-  /^P9/i.test(p) ? 'phase-9 phase-line' : 'phase-x';
+// --- planner config ----------------------------------------------------------
+// Work item types, field reference names and phase rules from /api/config
+let plannerConfig = null;
+let phaseRe = null;
+
+const phaseCss = key => `phase-${String(key).replace(/[^\w-]/g, '_')}`;
+const fieldPath = key => `/fields/${plannerConfig.fields[key]}`;
+
+const IS_PHASE = name => !!phaseRe?.test(name || '');
+const PHASE_CLASS = name => {
+  const key = phaseRe.exec(name || '')?.[1];
+  return key != null && key in plannerConfig.phases.colours
+    ? `${phaseCss(key)} phase-line`
+    : 'phase-x';
+};
+
+// One bar colour rule per configured phase
+function applyPhaseColours({ colours, defaultColour }) {
+  let style = $id('phaseColours');
+  if (!style) {
+    style = document.createElement('style');
+    style.id = 'phaseColours';
+    // ahead of style.css so critical-path colours still win
+    document.head.prepend(style);
+  }
+  style.textContent = Object.entries(colours)
+    .map(([key, colour]) => `.gantt_task_line.${phaseCss(key)}{background:${colour}!important}`)
+    .concat(`.gantt_task_line.phase-x{background:${defaultColour}!important}`)
+    .join('\n');
+}
+
+function fillTypePicker(types) {
+  taskTypeInput.innerHTML = '';
+  for (const type of types.hierarchy) {
+    const opt = document.createElement('option');
+    opt.value = type;
+    opt.textContent = type;
+    taskTypeInput.appendChild(opt);
+  }
+}
+
+async function loadPlannerConfig() {
+  const res = await fetch('/api/config');
+  if (!res.ok) throw new Error(`config request failed (${res.status})`);
+  plannerConfig = await res.json();
+  phaseRe = new RegExp(plannerConfig.phases.pattern, plannerConfig.phases.flags);
+  applyPhaseColours(plannerConfig.phases);
+  fillTypePicker(plannerConfig.types);
+  console.log('[loadPlannerConfig]', plannerConfig.types, plannerConfig.phases.pattern);
+}
 
 function mapRowsToTasks(rows) {
   // Convert backend rows to the shape expected by dhtmlxGantt
@@ -75,13 +173,13 @@ function mapRowsToTasks(rows) {
   }, {});
 
   return rows.map(r => {
+    const draft = scenarioDraft(r);
+    if (draft) r = draft.row;
     const progress = r.est ? Math.min(1, (r.done / r.est)) : 0;
+    // in a scenario the ghost bar shows what ADO has right now
+    const base = draft ? draft.live : baselineRows.get(r.id);
     const isPhase = IS_PHASE(r.name);
     const hasChildren = !!childCounts[r.id];
-    const missing = r.missing || {};
-      const missingAny =
-      r.type === 'Task' && !hasChildren &&
-      (missing.dueDate || missing.effort || missing.billable);
       const task = {
       id: r.id,
       text: r.name,
@@ -90,16 +188,27 @@ function mapRowsToTasks(rows) {
       end_date: r.finish ? moment(r.finish).format(DATE_FMT) : null,
       progress,
       parent: r.parent || 0,
-      open: true,
+      // portfolio projects start collapsed to their summary bar
+      open: !portfolio?.projectIds.has(r.id),
       type: (isPhase || hasChildren) ? gantt.config.types.project : gantt.config.types.task,
-      css: isPhase ? PHASE_CLASS(r.name) : '',
+      css: [
+        isPhase ? PHASE_CLASS(r.name) : '',
+        draft ? 'scenario-changed' : '',
+        portfolio?.conflictIds.has(r.id) ? 'portfolio-conflict' : ''
+      ].filter(Boolean).join(' '),
       est: r.est,
       done: r.done,
       doneWeek: r.doneWeek || 0,
       billable: r.billable == null ? null : normalizeBool(r.billable),
       assignedTo: r.assignedTo || '',
-      missing,
-      missingAny
+      totalFloat: r.totalFloat,
+      freeFloat: r.freeFloat,
+      critical: !!r.critical,
+      baseline_start: base?.start ? new Date(base.start) : null,
+      baseline_end: base?.finish ? new Date(base.finish) : null,
+      baseline_est: base?.est,
+      rev: r.rev,
+      problems: r.problems || []
     };
     console.debug('[mapRowsToTasks] mapped', task.id, task.text, {
       parent: task.parent,
@@ -146,58 +255,50 @@ function drawGantt(tasks) {
     gantt.config.task_height = 18;
     gantt.config.autosize = 'y';
     gantt.config.columns_resize = true;
+    // Honour the working calendar when dragging / resizing bars
+    gantt.config.work_time = true;
+    gantt.config.correct_work_time = true;
+    gantt.config.duration_unit = 'hour';
     // Visual tweaks
-    gantt.templates.task_class = (s, e, task) => task.css || '';
+    gantt.templates.task_class = (s, e, task) =>
+      [task.css, criticalToggle?.checked && task.critical ? 'critical' : '']
+        .filter(Boolean).join(' ');
+    gantt.templates.link_class = link =>
+      criticalToggle?.checked &&
+      gantt.getTask(link.source).critical && gantt.getTask(link.target).critical
+        ? 'critical-link' : '';
     gantt.templates.task_text = (_s, _e, t) => t.text;
-    gantt.templates.timeline_cell_class = (_task, date) => {
-      const day = date.getDay();
-      //return day >= 1 && day <= 5 ? 'weekday' : '';
-      return day === 0 || day === 6 ? 'weekend' : '';
-    };
-    gantt.templates.scale_cell_class = date => {
-      const day = date.getDay();
-      //return day >= 1 && day <= 5 ? 'weekday' : '';
-      return day === 0 || day === 6 ? 'weekend' : '';
-    };
-    // Helper to wrap cell text when any mandatory field is missing
-    // const wrapMissing = (txt, t) =>
-    //   t.missingAny ? `<span class="missing-data">${txt}</span>` : txt;
-        // Build a human readable tooltip of missing fields for a task
-    const missingTooltip = t => {
-      const fieldNames = {
-        dueDate: 'due date',
-        effort: 'effort',
-        billable: 'billable'
-      };
-      return Object.entries(t.missing || {})
-        .filter(([, absent]) => absent)
-        .map(([key]) => fieldNames[key] || key)
-        .join(', ');
-    };
-
-    // Helper to wrap cell text when any mandatory field is missing
-    const wrapMissing = (txt, t) => {
-      if (!t.missingAny) return txt;
-      const tooltip = missingTooltip(t);
-      const titleAttr = tooltip ? ` title="Missing: ${tooltip}"` : '';
-      return `<span class="missing-data"${titleAttr}>${txt}</span>`;
+    // Grey out weekends and holidays of the team calendar
+    gantt.templates.timeline_cell_class = (_task, date) =>
+      gantt.isWorkTime({ date, unit: 'day' }) ? '' : 'nonworking';
+    gantt.templates.scale_cell_class = date =>
+      gantt.isWorkTime({ date, unit: 'day' }) ? '' : 'nonworking';
+    // Colour cell text by the worst data-quality problem of the row; `rules`
+    // limits it to the problems about that cell
+    const wrapProblems = (txt, t, rules) => {
+      const problems = (t.problems || []).filter(p => !rules || rules.includes(p.rule));
+      if (!problems.length) return txt;
+      const worst = SEVERITY_ORDER.find(s => problems.some(p => p.severity === s));
+      const tooltip = escapeHtml(problems.map(p => p.message).join('\n'));
+      return `<span class="quality-${worst}" title="${tooltip}">${txt}</span>`;
     };
     // Grid columns (Title + task card fields)
     gantt.config.columns = [
-      { name: 'text', label: 'Title', tree: true, width: 300, resize: true, template: t => wrapMissing(t.text, t) },
+      { name: 'text', label: 'Title', tree: true, width: 300, resize: true, template: t => wrapProblems(escapeHtml(t.text), t) },
       {
         name: 'dueDate',
         label: 'Due',
         align: 'center',
         width: 60,
-        template: t => wrapMissing(t.end_date ? moment(t.end_date).format('DD.MM') : '', t)
+        template: t => wrapProblems(t.end_date ? moment(t.end_date).format('DD.MM') : '', t,
+          ['missingDate', 'overdue', 'afterPhase'])
       },
       {
         name: 'est',
         label: 'Orig Est',
         align: 'center',
         width: 70,
-        template: t => wrapMissing(t.est ? t.est : '', t)
+        template: t => wrapProblems(t.est ? t.est : '', t, ['missingEstimate', 'overEstimate'])
       },
       {
         name: 'billable',
@@ -206,7 +307,7 @@ function drawGantt(tasks) {
         width: 70,
         template: t => {
           const b = normalizeBool(t.billable);
-          return wrapMissing(t.billable == null ? '' : (b ? 'Yes' : 'No'), t);
+          return wrapProblems(t.billable == null ? '' : (b ? 'Yes' : 'No'), t, ['missingBillable']);
         }
       },
       {
@@ -222,7 +323,42 @@ function drawGantt(tasks) {
         align: 'center',
         width: 90,
         template: t => t.doneWeek || 0
-      }
+      },
+      {
+        name: 'slip',
+        label: 'Slip',
+        align: 'center',
+        width: 55,
+        // finish date vs. baseline, in calendar days
+        template: t => {
+          if (!t.baseline_end || !t.end_date) return '';
+          const d = moment(t.end_date, DATE_FMT).startOf('day')
+            .diff(moment(t.baseline_end).startOf('day'), 'days');
+          return d ? `<span class="${d > 0 ? 'variance-bad' : 'variance-good'}">${d > 0 ? '+' : ''}${d}d</span>` : '0';
+        }
+      },
+      {
+        name: 'estGrowth',
+        label: 'Est Δ',
+        align: 'center',
+        width: 55,
+        template: t => {
+          if (t.baseline_est == null) return '';
+          const d = (t.est || 0) - t.baseline_est;
+          return d ? `<span class="${d > 0 ? 'variance-bad' : 'variance-good'}">${d > 0 ? '+' : ''}${d}h</span>` : '0';
+        }
+      },
+      {
+        name: 'slack',
+        label: 'Slack',
+        align: 'center',
+        width: 60,
+        // total float in working hours; free float in the tooltip
+        template: t => t.totalFloat == null
+          ? ''
+          : `<span title="Free float: ${t.freeFloat}h">${t.totalFloat}h</span>`
+      },
+      { name: 'add', width: 44 }
     ];
     // Log and forward client edits to the backend
     gantt.attachEvent('onAfterTaskUpdate', async (id, item) => {
@@ -230,20 +366,65 @@ function drawGantt(tasks) {
       const patch = buildPatch(item);
       if (!patch.length) return;
       try {
-        const r = await fetch(`/api/task/${id}`, {
-          method: 'PATCH',
-          headers: { 'Content-Type': 'application/json-patch+json' },
-          body: JSON.stringify(patch)
-        });
-        if (!r.ok) throw new Error(r.statusText);
+        await saveTaskPatch(id, patch);
         console.log('✅ DevOps updated');
       } catch (e) {
         console.error('❌ PATCH failed', e);
+        alert(`Could not save #${id}:\n${e.message}`);
+        // show what ADO really has instead of the rejected edit
+        loadGantt(currentRootId);
       }
     });
+    // Scenarios only stage field edits – links and new items go straight to ADO
+    const liveOnly = what => {
+      if (!scenario) return true;
+      alert(`${what} cannot be staged in a scenario – switch to live data first.`);
+      return false;
+    };
+    gantt.attachEvent('onBeforeLinkAdd', () => liveOnly('Dependencies'));
+    gantt.attachEvent('onBeforeLinkDelete', () => liveOnly('Dependencies'));
+    // Dependency links drawn or deleted in the chart ➜ ADO relations
+    gantt.attachEvent('onAfterLinkAdd', async (id, link) => {
+      console.log('[linkadd]', id, link.source, '➜', link.target);
+      try {
+        const r = await fetch('/api/link', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ source: link.source, target: link.target })
+        });
+        if (!r.ok) throw new Error(r.statusText);
+        const data = await r.json();
+        gantt.changeLinkId(id, data.id);
+        allLinks.push({ id: data.id, source: link.source, target: link.target, type: link.type });
+      } catch (e) {
+        console.error('❌ link add failed', e);
+        // silent: the link never reached ADO, so there is nothing to DELETE
+        gantt.silent(() => gantt.deleteLink(id));
+        gantt.render();
+      }
+    });
+    gantt.attachEvent('onAfterLinkDelete', async (id, link) => {
+      console.log('[linkdelete]', id, link.source, '➜', link.target);
+      allLinks = allLinks.filter(l => l.id !== id);
+      try {
+        const r = await fetch(`/api/link/${link.source}/${link.target}`, { method: 'DELETE' });
+        if (!r.ok) throw new Error(r.statusText);
+      } catch (e) {
+        console.error('❌ link delete failed', e);
+      }
+    });
+    // "+" in the grid: open the editor in create mode below that row
+    gantt.attachEvent('onTaskCreated', task => {
+      if (isEditable() && liveOnly('New work items')) openTaskCreator(task.parent);
+      return false;
+    });
     gantt.attachEvent('onTaskClick', function (id, e) {
       const task = gantt.getTask(id);
+      taskEditorTitle.textContent = 'Edit Task';
+      taskTypeRow.style.display = 'none';
+      taskParentInput.value = '';
       taskIdInput.value = task.id;
+      taskAssigneeInput.value = task.assignedTo || '';
       taskTitleInput.value = task.text;
       taskDueInput.value = task.end_date ? moment(task.end_date, DATE_FMT).format('YYYY-MM-DD') : '';
       taskEstInput.value = task.est || 0;
@@ -252,6 +433,18 @@ function drawGantt(tasks) {
       taskEditor.style.display = 'block';
       return false;
     });
+    // Ghost bar of the selected baseline underneath each task
+    gantt.addTaskLayer(task => {
+      if (!task.baseline_start || !task.baseline_end) return false;
+      const pos = gantt.getTaskPosition(task, task.baseline_start, task.baseline_end);
+      const el = document.createElement('div');
+      el.className = 'baseline-bar';
+      el.style.left = `${pos.left}px`;
+      el.style.width = `${Math.max(pos.width, 2)}px`;
+      el.style.top = `${pos.top + gantt.config.row_height - 6}px`;
+      el.title = `Baseline: ${moment(task.baseline_start).format(DATE_FMT)} – ${moment(task.baseline_end).format(DATE_FMT)}`;
+      return el;
+    });
     gantt.init('GanttChartDIV');
     ganttInited = true;
   }
@@ -259,7 +452,10 @@ function drawGantt(tasks) {
   gantt.clearAll();
   gantt.config.readonly = !isEditable();
   setScale(fmt);
-  gantt.parse({ data: tasks });
+  // only hand over links whose both ends are visible (e.g. phase filter)
+  const visible = new Set(tasks.map(t => t.id));
+  const links = allLinks.filter(l => visible.has(l.source) && visible.has(l.target));
+  gantt.parse({ data: tasks, links });
   tasks.filter(t => IS_PHASE(t.text)).forEach(p => {
     const childCount = tasks.filter(t => t.parent === p.id).length;
     console.debug('[drawGantt] phase', p.id, p.text, {
@@ -272,30 +468,875 @@ function drawGantt(tasks) {
   gantt.setSizes();
 }
 
+// --- working calendar --------------------------------------------------------
+let calendarHolidays = [];
+
+// "9.5" ➜ "9:30"
+function hourLabel(h) {
+  const m = Math.round((h % 1) * 60);
+  return `${Math.floor(h)}:${String(m).padStart(2, '0')}`;
+}
+
+// Push the team calendar from /api/calendar into gantt's work time settings
+function applyCalendar(cal) {
+  const hours = [`${hourLabel(cal.workStart)}-${hourLabel(cal.workStart + cal.hoursPerDay)}`];
+  for (let day = 0; day < 7; day++) {
+    gantt.setWorkTime({ day, hours: cal.workDays.includes(day) ? hours : false });
+  }
+  calendarHolidays.forEach(date => gantt.unsetWorkTime({ date }));
+  calendarHolidays = cal.holidays.map(d => moment(d, 'YYYY-MM-DD').toDate());
+  calendarHolidays.forEach(date => gantt.setWorkTime({ date, hours: false }));
+  console.log('[applyCalendar]', hours, 'days', cal.workDays, 'holidays', cal.holidays.length);
+}
+
+async function loadCalendar(team) {
+  try {
+    const res = await fetch(`/api/calendar?team=${encodeURIComponent(team || '')}`);
+    if (!res.ok) throw new Error(res.statusText);
+    applyCalendar(await res.json());
+  } catch (err) {
+    console.error('[loadCalendar] failed, keeping previous calendar', err);
+  }
+}
+
 function updateSummary(rows) {
   if (!summaryDiv) return;
-  const sold = rows.find(r => r.type === 'ITDemand')?.est || 0;
+  const { task, demand } = plannerConfig.types;
+  const sold = rows.find(r => r.type === demand)?.est || 0;
   const totalEst = rows
-    .filter(r => r.type === 'Task')
+    .filter(r => r.type === task)
     .reduce((s, r) => s + (r.est || 0), 0);
   const totalDone = rows
-    .filter(r => r.type === 'Task')
+    .filter(r => r.type === task)
     .reduce((s, r) => s + (r.done || 0), 0);
   const totalWeek = rows
-    .filter(r => r.type === 'Task')
+    .filter(r => r.type === task)
     .reduce((s, r) => s + (r.doneWeek || 0), 0);
   summaryDiv.textContent =
     `Sold: ${sold}h | Est: ${totalEst}h | Done: ${totalDone}h | This Week: ${totalWeek}h`;
 }
 
+// --- workload panel ----------------------------------------------------------
+// Heatmap of booked vs. available hours per person, red where over-allocated
+function renderCapacity(data) {
+  if (!data.people.length) {
+    capacityPanel.innerHTML = '<em>No open work in this period</em>';
+    return;
+  }
+  const head = data.buckets
+    .map(b => `<th>${moment(b, 'YYYY-MM-DD').format(data.unit === 'week' ? '[W]W' : 'DD.MM')}</th>`)
+    .join('');
+  const body = data.people.map(p => {
+    const cells = data.buckets.map((_b, i) => {
+      const load = p.load[i];
+      const cap = p.capacity[i];
+      const ratio = cap ? load / cap : (load ? 2 : 0);
+      const cls = p.over[i] ? 'over' : ratio > 0.8 ? 'full' : load ? 'busy' : '';
+      return `<td class="${cls}" title="${load}h booked / ${cap}h available">${load || ''}</td>`;
+    }).join('');
+    return `<tr><th>${escapeHtml(p.name)}</th>${cells}</tr>`;
+  }).join('');
+  capacityPanel.innerHTML =
+    `<table class="capacity"><thead><tr><th>Person</th>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+async function loadCapacity() {
+  if (!capacityToggle?.checked || !locationPicker.value) return;
+  const params = new URLSearchParams({
+    location: locationPicker.value,
+    team: teamPicker.value,
+    unit: capacityUnit.value
+  });
+  console.log('[loadCapacity]', params.toString());
+  capacityPanel.innerHTML = '<em>Loading workload…</em>';
+  try {
+    const res = await fetch(`/api/capacity?${params}`);
+    if (!res.ok) throw new Error(res.statusText);
+    renderCapacity(await res.json());
+  } catch (err) {
+    console.error('[loadCapacity] failed', err);
+    capacityPanel.innerHTML = '<em>Workload could not be loaded</em>';
+  }
+}
+
+capacityToggle?.addEventListener('change', () => {
+  capacityPanel.style.display = capacityToggle.checked ? 'block' : 'none';
+  loadCapacity();
+});
+capacityUnit?.addEventListener('change', loadCapacity);
+
+// --- baselines -----------------------------------------------------------------
+async function loadBaselineList(rootId) {
+  if (!baselinePicker) return;
+  const res = await fetch(`/api/gantt/${rootId}/baselines`);
+  const list = res.ok ? await res.json() : [];
+  console.log('[loadBaselineList]', list.length, 'baselines');
+  const selected = baselinePicker.value;
+  baselinePicker.innerHTML = '<option value="">(no baseline)</option>';
+  for (const b of list) {
+    const opt = document.createElement('option');
+    opt.value = b.id;
+    opt.textContent = `${b.name} (${moment(b.createdAt).format('DD.MM.YYYY')})`;
+    baselinePicker.appendChild(opt);
+  }
+  baselinePicker.value = list.some(b => b.id === selected) ? selected : '';
+  if (baselinePicker.value !== selected) await selectBaseline('');
+}
+
+async function selectBaseline(id) {
+  baselineRows = new Map();
+  if (id) {
+    const res = await fetch(`/api/gantt/${currentRootId}/baselines/${id}`);
+    if (res.ok) {
+      const baseline = await res.json();
+      baselineRows = new Map(baseline.rows.map(r => [r.id, r]));
+    }
+  }
+  console.log('[selectBaseline]', id || '(none)', baselineRows.size, 'rows');
+  drawGantt(mapRowsToTasks(filteredRowsCached));
+}
+
+baselinePicker?.addEventListener('change', () => selectBaseline(baselinePicker.value));
+
+baselineSave?.addEventListener('click', async () => {
+  const name = prompt('Baseline name', `Baseline ${moment().format('DD.MM.YYYY')}`);
+  if (!name) return;
+  const res = await fetch(`/api/gantt/${currentRootId}/baselines`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name })
+  });
+  const data = await res.json().catch(() => ({}));
+  console.log('[baselineSave] response', res.status, data);
+  if (!res.ok) return alert(`Baseline could not be saved: ${data.error || res.statusText}`);
+  await loadBaselineList(currentRootId);
+  baselinePicker.value = data.id;
+  selectBaseline(data.id);
+});
+
+baselineDelete?.addEventListener('click', async () => {
+  const id = baselinePicker.value;
+  if (!id || !confirm('Delete the selected baseline?')) return;
+  const res = await fetch(`/api/gantt/${currentRootId}/baselines/${id}`, { method: 'DELETE' });
+  console.log('[baselineDelete] response', res.status);
+  await loadBaselineList(currentRootId);
+});
+
+// --- what-if scenarios -----------------------------------------------------------
+let commitReport = null;   // result of the last "Commit scenario"
+
+/** Field ref ➜ staged value of one scenario item */
+function stagedValues(item) {
+  return Object.fromEntries(item.ops
+    .filter(o => o.path.startsWith('/fields/'))
+    .map(o => [o.path.slice('/fields/'.length), o.op === 'remove' ? null : o.value]));
+}
+
+/**
+ * Row as the selected scenario would leave it plus its live dates, or null
+ * when the scenario does not touch it. A new finish without a new start
+ * keeps the duration.
+ */
+function scenarioDraft(r) {
+  const item = scenario?.items[r.id];
+  if (!item) return null;
+  const v = stagedValues(item);
+  const ref = key => plannerConfig.fields[key];
+  const row = { ...r };
+  const finish = v[ref('finishDate')] ?? v[ref('dueDate')];
+  if (finish) {
+    row.finish = finish;
+    row.start = v[ref('startDate')] ??
+      (r.start && r.finish ? moment(r.start).add(moment(finish).diff(r.finish)).toISOString() : r.start);
+  } else if (v[ref('startDate')]) {
+    row.start = v[ref('startDate')];
+  }
+  if ('System.Title' in v) row.name = v['System.Title'];
+  if ('System.AssignedTo' in v) row.assignedTo = v['System.AssignedTo'] || '';
+  if (ref('originalEstimate') in v) row.est = v[ref('originalEstimate')] || 0;
+  if (ref('billable') in v) row.billable = v[ref('billable')];
+  return { row, live: { start: r.start, finish: r.finish, est: r.est } };
+}
+
+/** Stage an edit in the selected scenario instead of saving it to ADO */
+async function stageTaskPatch(id, patch, rev) {
+  const body = rev != null ? [{ op: 'test', path: '/rev', value: rev }, ...patch] : patch;
+  const res = await fetch(`/api/scenarios/${scenario.id}/items/${id}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json-patch+json' },
+    body: JSON.stringify(body)
+  });
+  const data = await res.json().catch(() => ({}));
+  console.log('[stageTaskPatch] response', res.status, data);
+  if (!res.ok) throw new Error(patchErrorText(data, res.statusText));
+  await selectScenario(scenario.id);
+  return data;
+}
+
+async function loadScenarioList(rootId) {
+  if (!scenarioPicker) return;
+  const res = await fetch(`/api/scenarios?root=${rootId}`);
+  const list = res.ok ? await res.json() : [];
+  console.log('[loadScenarioList]', list.length, 'scenarios');
+  const wanted = scenario?.id || new URLSearchParams(location.search).get('scenario') || '';
+  scenarioPicker.innerHTML = '<option value="">(live data)</option>';
+  for (const sc of list) {
+    const opt = document.createElement('option');
+    opt.value = sc.id;
+    opt.textContent = `${sc.name} (${sc.itemCount} staged, ${sc.createdBy?.name || '?'})`;
+    scenarioPicker.appendChild(opt);
+  }
+  scenarioPicker.value = list.some(sc => sc.id === wanted) ? wanted : '';
+  await fetchScenario(scenarioPicker.value);
+}
+
+/** Load scenario `id` (with its diff) and put it into the address bar */
+async function fetchScenario(id) {
+  scenario = null;
+  if (id) {
+    const res = await fetch(`/api/scenarios/${id}`);
+    if (res.ok) scenario = await res.json();
+    else console.error('[fetchScenario] failed', res.status);
+  }
+  const url = new URL(location.href);
+  if (scenario) url.searchParams.set('scenario', scenario.id);
+  else url.searchParams.delete('scenario');
+  history.replaceState(null, '', url);
+  renderScenario();
+}
+
+async function selectScenario(id) {
+  await fetchScenario(id);
+  console.log('[selectScenario]', id || '(live data)', scenario ? Object.keys(scenario.items).length : 0, 'items');
+  drawGantt(mapRowsToTasks(filteredRowsCached));
+}
+
+function renderScenario() {
+  const canEdit = !!session?.canEdit;
+  const staged = scenario ? Object.keys(scenario.items).length : 0;
+  if (scenarioNew) scenarioNew.disabled = !canEdit;
+  if (scenarioCommit) scenarioCommit.disabled = !canEdit || !staged;
+  if (scenarioDelete) scenarioDelete.disabled = !canEdit || !scenario;
+  if (scenarioLink) scenarioLink.disabled = !scenario;
+  if (!scenarioPanel) return;
+
+  scenarioPanel.style.display = scenario || commitReport ? 'block' : 'none';
+  let html = '';
+  if (commitReport) {
+    const lines = commitReport.results.map(r => r.ok
+      ? `<li class="variance-good">#${r.id} saved (rev ${r.rev})</li>`
+      : `<li class="variance-bad">#${r.id} not saved: ${r.conflict
+        ? 'changed in Azure DevOps since it was staged – drop it and stage it again'
+        : escapeHtml(r.error)}</li>`).join('');
+    html += `<p><strong>Commit:</strong> ${commitReport.committed} saved, ${commitReport.failed} failed</p><ul>${lines}</ul>`;
+  }
+  if (scenario) {
+    const rows = scenario.diff.flatMap(d => d.fields.map((f, i) => `<tr>
+      ${i ? '<td></td><td></td>' : `<td>#${d.id}</td><td>${escapeHtml(d.name ?? '(deleted)')}${d.liveRev != null && d.rev != null && d.liveRev !== d.rev
+        ? ' <span class="variance-bad" title="Changed in Azure DevOps since it was staged">⚠</span>' : ''}</td>`}
+      <td>${escapeHtml(f.field.split('.').pop())}</td>
+      <td>${escapeHtml(mergeValue(f.live))}</td>
+      <td>${escapeHtml(mergeValue(f.draft))}</td>
+      <td>${i || !canEdit ? '' : `<button data-drop="${d.id}">Drop</button>`}</td>
+    </tr>`)).join('');
+    html += rows
+      ? `<table class="import"><thead><tr><th>Item</th><th>Title</th><th>Field</th><th>Live</th><th>Scenario</th><th></th></tr></thead><tbody>${rows}</tbody></table>`
+      : `<em>Scenario "${escapeHtml(scenario.name)}" has no staged changes yet – enable editing and move bars to stage them.</em>`;
+  }
+  scenarioPanel.innerHTML = html;
+}
+
+scenarioPicker?.addEventListener('change', () => {
+  commitReport = null;
+  selectScenario(scenarioPicker.value);
+});
+
+scenarioNew?.addEventListener('click', async () => {
+  const name = prompt('Scenario name', `What-if ${moment().format('DD.MM.YYYY')}`);
+  if (!name) return;
+  const res = await fetch('/api/scenarios', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ root: Number(currentRootId), name })
+  });
+  const data = await res.json().catch(() => ({}));
+  console.log('[scenarioNew] response', res.status, data);
+  if (!res.ok) return alert(`Scenario could not be created: ${data.error || res.statusText}`);
+  commitReport = null;
+  scenario = { id: data.id };
+  await loadScenarioList(currentRootId);
+  drawGantt(mapRowsToTasks(filteredRowsCached));
+});
+
+scenarioDelete?.addEventListener('click', async () => {
+  if (!scenario || !confirm(`Discard scenario "${scenario.name}" and everything staged in it?`)) return;
+  const res = await fetch(`/api/scenarios/${scenario.id}`, { method: 'DELETE' });
+  console.log('[scenarioDelete] response', res.status);
+  scenario = null;
+  commitReport = null;
+  await loadScenarioList(currentRootId);
+  drawGantt(mapRowsToTasks(filteredRowsCached));
+});
+
+scenarioLink?.addEventListener('click', async () => {
+  if (!scenario) return;
+  const url = `${location.origin}${location.pathname}?id=${currentRootId}&scenario=${scenario.id}`;
+  try {
+    await navigator.clipboard.writeText(url);
+    scenarioLink.textContent = 'Link copied';
+    setTimeout(() => { scenarioLink.textContent = 'Copy link'; }, 2000);
+  } catch {
+    prompt('Link to this scenario', url);
+  }
+});
+
+scenarioCommit?.addEventListener('click', async () => {
+  const staged = scenario ? Object.keys(scenario.items).length : 0;
+  if (!staged || !confirm(`Write ${staged} staged item(s) of "${scenario.name}" to Azure DevOps?`)) return;
+  scenarioCommit.disabled = true;
+  try {
+    const res = await fetch(`/api/scenarios/${scenario.id}/commit`, { method: 'POST' });
+    const data = await res.json().catch(() => ({}));
+    console.log('[scenarioCommit] response', res.status, data);
+    if (!res.ok) throw new Error(data.error || res.statusText);
+    commitReport = data;
+    await loadGantt(currentRootId, { force: true });
+  } catch (err) {
+    console.error('[scenarioCommit] failed', err);
+    alert(`Scenario could not be committed: ${err.message}`);
+    renderScenario();
+  }
+});
+
+scenarioPanel?.addEventListener('click', async e => {
+  const id = e.target.closest('button[data-drop]')?.dataset.drop;
+  if (!id || !scenario) return;
+  const res = await fetch(`/api/scenarios/${scenario.id}/items/${id}`, { method: 'DELETE' });
+  console.log('[scenarioDrop]', id, res.status);
+  await selectScenario(scenario.id);
+});
+
+// --- auto-schedule ---------------------------------------------------------------
+let schedulePreview = null;   // last GET /api/gantt/:rootId/schedule
+
+/** Proposed tasks whose dates differ from the plan by at least a minute */
+function scheduleMoves() {
+  const moved = (a, b) => !a || !b || Math.abs(moment(a).diff(b, 'minutes')) >= 1;
+  return (schedulePreview?.tasks || [])
+    .filter(t => t.finish && (moved(t.start, t.currentStart) || moved(t.finish, t.currentFinish)));
+}
+
+async function previewSchedule(from = moment().format('YYYY-MM-DD')) {
+  schedulePanel.style.display = 'block';
+  schedulePanel.innerHTML = '<em>Scheduling…</em>';
+  try {
+    const res = await fetch(`/api/gantt/${currentRootId}/schedule?from=${from}`);
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || res.statusText);
+    schedulePreview = data;
+    console.log('[previewSchedule]', data.tasks.length, 'tasks', scheduleMoves().length, 'moved');
+    renderSchedule(from);
+  } catch (err) {
+    console.error('[previewSchedule] failed', err);
+    schedulePanel.innerHTML = `<em>Auto-schedule failed: ${escapeHtml(err.message)}</em>`;
+  }
+}
+
+function renderSchedule(from, note = '') {
+  const moves = scheduleMoves();
+  const fmt = d => (d ? moment(d).format('DD.MM HH:mm') : '–');
+  const rows = moves.map(t => {
+    const shift = t.currentFinish ? moment(t.finish).startOf('day').diff(moment(t.currentFinish).startOf('day'), 'days') : null;
+    return `<tr>
+      <td>#${t.id}</td>
+      <td>${escapeHtml(t.name)}${t.late ? ` <span class="variance-bad" title="Finishes after ${fmt(t.deadline)}">late</span>` : ''}</td>
+      <td>${escapeHtml(t.assignedTo || '(unassigned)')}</td>
+      <td>${t.hours}</td>
+      <td>${fmt(t.currentStart)} – ${fmt(t.currentFinish)}</td>
+      <td>${fmt(t.start)} – ${fmt(t.finish)}</td>
+      <td class="${shift > 0 ? 'variance-bad' : shift < 0 ? 'variance-good' : ''}">${shift == null ? '' : (shift > 0 ? `+${shift}` : shift)}</td>
+    </tr>`;
+  }).join('');
+  const target = scenario ? `Stage ${moves.length} change(s) in "${escapeHtml(scenario.name)}"` : `Apply ${moves.length} change(s)`;
+  const cycles = schedulePreview.cycles.length
+    ? `<p class="variance-bad">Dependency cycle between ${schedulePreview.cycles.map(id => `#${id}`).join(', ')} – placed in tree order.</p>`
+    : '';
+  schedulePanel.innerHTML = `
+    <label>From <input type="date" id="scheduleFrom" value="${from}" /></label>
+    <button data-schedule="preview">Preview</button>
+    <button data-schedule="apply" ${moves.length && session?.canEdit ? '' : 'disabled'}>${target}</button>
+    <button data-schedule="close">Close</button>
+    ${note ? `<p>${note}</p>` : ''}${cycles}
+    ${rows
+    ? `<table class="import"><thead><tr><th>Item</th><th>Title</th><th>Assigned To</th><th>Remaining (h)</th><th>Planned</th><th>Proposed</th><th>Finish shift (days)</th></tr></thead><tbody>${rows}</tbody></table>`
+    : '<em>The plan already matches the proposal.</em>'}`;
+}
+
+/** Save the proposed dates item by item through the normal edit path */
+async function applySchedule() {
+  const moves = scheduleMoves();
+  const from = $id('scheduleFrom')?.value;
+  const failed = [];
+  schedulePanel.querySelectorAll('button').forEach(b => { b.disabled = true; });
+  for (const t of moves) {
+    const patch = [
+      { op: 'replace', path: fieldPath('startDate'), value: t.start },
+      { op: 'replace', path: fieldPath('finishDate'), value: t.finish }
+    ];
+    try {
+      await saveTaskPatch(t.id, patch, allRows.find(r => r.id === t.id)?.rev ?? null);
+    } catch (err) {
+      console.error('[applySchedule] failed', t.id, err);
+      failed.push(`#${t.id}: ${escapeHtml(err.message)}`);
+    }
+  }
+  if (!scenario) await loadGantt(currentRootId, { force: true });
+  await previewSchedule(from);
+  const done = moves.length - failed.length;
+  renderSchedule(from, `${done} of ${moves.length} item(s) ${scenario ? 'staged' : 'saved'}` +
+    (failed.length ? `; not saved:<br>${failed.join('<br>')}` : '.'));
+}
+
+scheduleBtn?.addEventListener('click', () => previewSchedule());
+
+schedulePanel?.addEventListener('click', e => {
+  const action = e.target.closest('button[data-schedule]')?.dataset.schedule;
+  if (action === 'preview') previewSchedule($id('scheduleFrom').value);
+  if (action === 'apply' && confirm(`${scenario ? 'Stage' : 'Save'} the proposed dates of ${scheduleMoves().length} item(s)?`)) {
+    applySchedule();
+  }
+  if (action === 'close') {
+    schedulePreview = null;
+    schedulePanel.style.display = 'none';
+  }
+});
+
+// --- burn chart ----------------------------------------------------------------
+let burnData = null;
+let burnChart = null;
+
+function renderBurn() {
+  if (!burnData) return;
+  const scope = burnScope.value
+    ? burnData.phases.find(p => String(p.id) === burnScope.value)
+    : burnData.total;
+  if (!scope) return;
+  const labels = burnData.days.map(d => moment(d, 'YYYY-MM-DD').format('DD.MM'));
+  const line = (label, data, color, extra = {}) =>
+    ({ label, data, borderColor: color, backgroundColor: color, pointRadius: 0, tension: 0.1, ...extra });
+
+  const datasets = burnMode.value === 'down'
+    ? [line('Remaining', scope.remaining, '#e67e22')]
+    : [
+        line('Completed', scope.done, '#27ae60'),
+        line('Estimate (scope)', scope.est, '#2980b9')
+      ];
+  // "sold" is a whole-plan figure, it means nothing for a single phase
+  if (burnMode.value === 'up' && !burnScope.value && burnData.sold) {
+    datasets.push(line('Sold', labels.map(() => burnData.sold), '#c0392b', { borderDash: [6, 4] }));
+  }
+
+  burnChart?.destroy();
+  burnChart = new Chart($id('burnChart'), {
+    type: 'line',
+    data: { labels, datasets },
+    options: { maintainAspectRatio: false, animation: false, scales: { y: { beginAtZero: true, title: { display: true, text: 'hours' } } } }
+  });
+
+  const p = burnData.projection;
+  $id('burnProjection').textContent = p.finish
+    ? `Projected completion: ${moment(p.finish, 'YYYY-MM-DD').format('DD.MM.YYYY')} (${p.ratePerDay}h/day, ${p.remaining}h left)`
+    : `No recent progress – cannot project completion (${p.remaining}h left)`;
+}
+
+async function loadBurn() {
+  if (!burnToggle?.checked) return;
+  console.log('[loadBurn] root', currentRootId);
+  const res = await fetch(`/api/gantt/${currentRootId}/burn`);
+  if (!res.ok) {
+    console.error('[loadBurn] failed', res.status);
+    return;
+  }
+  burnData = await res.json();
+  const selected = burnScope.value;
+  burnScope.innerHTML = '<option value="">Whole plan</option>';
+  for (const p of burnData.phases) {
+    const opt = document.createElement('option');
+    opt.value = p.id;
+    opt.textContent = p.name;
+    burnScope.appendChild(opt);
+  }
+  burnScope.value = burnData.phases.some(p => String(p.id) === selected) ? selected : '';
+  renderBurn();
+}
+
+burnToggle?.addEventListener('change', () => {
+  burnPanel.style.display = burnToggle.checked ? 'block' : 'none';
+  loadBurn();
+});
+burnMode?.addEventListener('change', renderBurn);
+burnScope?.addEventListener('change', renderBurn);
+
+// --- budget ------------------------------------------------------------------------
+// Sold vs. estimated vs. consumed hours per project and phase, with the
+// estimate at completion the recent burn rate points to
+function renderBudget(data) {
+  const hours = n => (n == null ? '–' : `${n}h`);
+  const row = (g, cls) => {
+    const f = g.forecast;
+    return `<tr class="${cls}" data-id="${g.id}">
+      <td>${escapeHtml(g.name)}</td>
+      <td>${hours(g.sold)}</td>
+      <td>${hours(g.est)}</td>
+      <td>${hours(g.done)}</td>
+      <td>${hours(g.billable.done)} / ${hours(g.billable.est)}</td>
+      <td>${hours(g.nonBillable.done + g.unset.done)} / ${hours(g.nonBillable.est + g.unset.est)}</td>
+      <td title="${f.factor}h spent per estimated hour over the last ${data.windowDays} days">${hours(f.eac)}</td>
+      <td class="${f.variance == null ? '' : f.variance < 0 ? 'variance-bad' : 'variance-good'}">${hours(f.variance)}</td>
+      <td>${f.finish ? moment(f.finish, 'YYYY-MM-DD').format('DD.MM.YYYY') : '–'}</td>
+    </tr>`;
+  };
+  // the root usually is the only project – no need to list it twice
+  const projects = data.projects.filter(p => p.id !== data.total.id);
+  const body = [
+    row(data.total, 'budget-total'),
+    ...projects.flatMap(p => [row(p, ''), ...data.phases.filter(ph => ph.project === p.id).map(ph => row(ph, 'budget-phase'))]),
+    ...data.phases.filter(ph => !projects.some(p => p.id === ph.project)).map(ph => row(ph, 'budget-phase'))
+  ].join('');
+  const warnings = [data.total, ...projects, ...data.phases]
+    .flatMap(g => g.warnings.map(w => `<li class="quality-${w.severity}">${escapeHtml(g.name)}: ${escapeHtml(w.message)}</li>`))
+    .join('');
+  budgetPanel.innerHTML = (warnings ? `<ul>${warnings}</ul>` : '') +
+    `<table class="import problems budget"><thead><tr><th>Item</th><th>Sold</th><th>Estimated</th><th>Consumed</th>
+      <th>Billable done / est</th><th>Non-billable done / est</th><th>Forecast (EAC)</th><th>Sold − EAC</th><th>Forecast finish</th>
+    </tr></thead><tbody>${body}</tbody></table>` +
+    (data.total.unset.est ? '<p><small>Tasks without a billable flag count as non-billable here</small></p>' : '');
+}
+
+async function loadBudget() {
+  try {
+    const res = await fetch(`/api/gantt/${currentRootId}/budget`);
+    if (!res.ok) throw new Error(res.statusText);
+    const data = await res.json();
+    const overruns = [data.total, ...data.projects.filter(p => p.id !== data.total.id), ...data.phases]
+      .flatMap(g => g.warnings)
+      .filter(w => w.severity !== 'info').length;
+    budgetWarnings.textContent = overruns ? `(${overruns} overrun${overruns > 1 ? 's' : ''})` : '';
+    if (budgetToggle?.checked) renderBudget(data);
+  } catch (err) {
+    console.error('[loadBudget] failed', err);
+    budgetPanel.innerHTML = '<em>Budget could not be loaded</em>';
+  }
+}
+
+budgetPanel?.addEventListener('click', e => {
+  const row = e.target.closest('tr[data-id]');
+  if (row) jumpToRow(Number(row.dataset.id));
+});
+
+budgetToggle?.addEventListener('change', () => {
+  budgetPanel.style.display = budgetToggle.checked ? 'block' : 'none';
+  loadBudget();
+});
+
+// One line per rejected field from a PATCH /api/task error response
+function patchErrorText(data, fallback) {
+  const errors = data?.errors || [];
+  if (!errors.length) return data?.error || fallback;
+  return errors.map(e => `${e.field || e.path || 'work item'}: ${e.message}`).join('\n');
+}
+
+/**
+ * PATCH a work item guarded by the revision the chart was loaded with.
+ * When someone else saved it in the meantime the merge dialog decides
+ * what to send instead.
+ */
+async function saveTaskPatch(id, patch, rev = gantt.isTaskExists(id) ? gantt.getTask(id).rev : null, action = 'edit') {
+  if (scenario) return stageTaskPatch(id, patch, rev);
+  const body = rev != null ? [{ op: 'test', path: '/rev', value: rev }, ...patch] : patch;
+  const res = await fetch(`/api/task/${id}?action=${action}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json-patch+json' },
+    body: JSON.stringify(body)
+  });
+  const data = await res.json().catch(() => ({}));
+  console.log('[saveTaskPatch] response', res.status, data);
+  if (res.status === 409) return resolveConflict(id, data);
+  if (!res.ok) throw new Error(patchErrorText(data, res.statusText));
+  if (data.rev != null && gantt.isTaskExists(id)) gantt.getTask(id).rev = data.rev;
+  if (action === 'edit' && data.audit?.changes.length) recordEdit(data.audit);
+  loadAudit();
+  return data;
+}
+
+// --- live updates --------------------------------------------------------------
+// The server pushes rows of the open tree that changed (webhooks, other users,
+// background refreshes); they are patched into the chart in place
+let treeEvents = null;
+
+function watchTree(rootId) {
+  if (treeEvents?.rootId === String(rootId)) return;
+  treeEvents?.close();
+  treeEvents = new EventSource(`/api/events?root=${encodeURIComponent(rootId)}`);
+  treeEvents.rootId = String(rootId);
+  treeEvents.addEventListener('tree', e => applyTreeChanges(JSON.parse(e.data)));
+  treeEvents.onerror = () => console.warn('[watchTree] connection lost, retrying');
+}
+
+function applyTreeChanges({ rootId, rows, removed, links }) {
+  if (String(rootId) !== String(currentRootId) || !ganttInited) return;
+  console.log('[applyTreeChanges]', rows.length, 'changed', removed.length, 'removed', links ? 'links' : '');
+
+  const gone = new Set(removed);
+  const byId = new Map(allRows.filter(r => !gone.has(r.id)).map(r => [r.id, r]));
+  rows.forEach(r => byId.set(r.id, r));
+  allRows = [...byId.values()];
+  if (links) allLinks = links;
+
+  filteredRowsCached = phaseToggle.checked
+    ? allRows.filter(r => !r.parent || IS_PHASE(r.name))
+    : allRows;
+  const changed = new Set(rows.map(r => r.id));
+  const tasks = mapRowsToTasks(filteredRowsCached).filter(t => changed.has(t.id));
+  const visible = new Set(filteredRowsCached.map(r => r.id));
+
+  // silent: these edits come from ADO and must not be PATCHed back
+  gantt.silent(() => {
+    removed.concat(rows.map(r => r.id).filter(id => !visible.has(id)))
+      .filter(id => gantt.isTaskExists(id))
+      .forEach(id => gantt.deleteTask(id));
+
+    for (const t of tasks) {
+      t.start_date = t.start_date && moment(t.start_date, DATE_FMT).toDate();
+      t.end_date = t.end_date && moment(t.end_date, DATE_FMT).toDate();
+      if (!gantt.isTaskExists(t.id)) {
+        gantt.addTask(t, gantt.isTaskExists(t.parent) ? t.parent : 0);
+        continue;
+      }
+      const task = gantt.getTask(t.id);
+      const parent = gantt.isTaskExists(t.parent) ? t.parent : 0;
+      if (task.parent !== parent) gantt.moveTask(t.id, -1, parent);
+      Object.assign(task, t, { parent });
+      gantt.refreshTask(t.id);
+    }
+
+    if (links) {
+      const wanted = new Map(links.filter(l => visible.has(l.source) && visible.has(l.target)).map(l => [l.id, l]));
+      gantt.getLinks().filter(l => !wanted.has(l.id)).forEach(l => gantt.deleteLink(l.id));
+      wanted.forEach((l, id) => { if (!gantt.isLinkExists(id)) gantt.addLink({ ...l }); });
+    }
+  });
+  gantt.render();
+  updateSummary(allRows);
+  loadProblems();
+}
+
+// --- undo / redo ---------------------------------------------------------------
+// Audit entries of this browser's own saves; replaying one sends its inverse
+const undoStack = [];
+const redoStack = [];
+
+function updateUndoButtons() {
+  undoBtn.disabled = !undoStack.length;
+  redoBtn.disabled = !redoStack.length;
+  const describe = e => e && `#${e.workItem}: ${e.changes.map(c => c.field.split('.').pop()).join(', ')}`;
+  undoBtn.title = undoStack.length ? `Undo ${describe(undoStack.at(-1))} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+  redoBtn.title = redoStack.length ? `Redo ${describe(redoStack.at(-1))} (Ctrl+Y)` : 'Redo (Ctrl+Y)';
+}
+
+function recordEdit(entry) {
+  undoStack.push(entry);
+  redoStack.length = 0;
+  updateUndoButtons();
+}
+
+async function replay(kind) {
+  const stack = kind === 'undo' ? undoStack : redoStack;
+  const entry = stack.pop();
+  if (!entry) return;
+  const patch = entry.changes.map(c => {
+    const value = kind === 'undo' ? c.from : c.to;
+    const path = `/fields/${c.field}`;
+    return value == null ? { op: 'remove', path } : { op: 'replace', path, value };
+  });
+  console.log('[replay]', kind, entry.workItem, patch);
+  try {
+    await saveTaskPatch(entry.workItem, patch, undefined, kind);
+    (kind === 'undo' ? redoStack : undoStack).push(entry);
+    await loadGantt(currentRootId);
+  } catch (err) {
+    console.error('[replay] failed', err);
+    stack.push(entry);
+    alert(`Could not ${kind} #${entry.workItem}:\n${err.message}`);
+  }
+  updateUndoButtons();
+}
+
+undoBtn?.addEventListener('click', () => replay('undo'));
+redoBtn?.addEventListener('click', () => replay('redo'));
+document.addEventListener('keydown', e => {
+  if (!(e.ctrlKey || e.metaKey) || ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) replay('undo');
+  else if (key === 'y' || (key === 'z' && e.shiftKey)) replay('redo');
+  else return;
+  e.preventDefault();
+});
+
+// --- change history ------------------------------------------------------------
+function auditValue(v) {
+  return v == null || v === '' ? '–' : mergeValue(v);
+}
+
+async function loadAudit() {
+  if (!auditToggle?.checked) return;
+  try {
+    const res = await fetch(`/api/audit?root=${currentRootId}&limit=100`);
+    if (!res.ok) throw new Error(res.statusText);
+    const entries = await res.json();
+    const rows = entries.map(e => `<tr>
+      <td>${moment(e.at).format(DATE_FMT)}</td>
+      <td>${escapeHtml(e.user?.name || '?')}</td>
+      <td>#${e.workItem}</td>
+      <td>${escapeHtml(e.action)}</td>
+      <td>${e.changes.map(c => escapeHtml(`${c.field.split('.').pop()}: ${auditValue(c.from)} ➜ ${auditValue(c.to)}`)).join('<br>')}</td>
+    </tr>`).join('');
+    auditPanel.innerHTML = entries.length
+      ? `<table class="import"><thead><tr><th>When</th><th>Who</th><th>Item</th><th>Action</th><th>Changes</th></tr></thead><tbody>${rows}</tbody></table>`
+      : '<em>No changes made from the dashboard yet</em>';
+  } catch (err) {
+    console.error('[loadAudit] failed', err);
+    auditPanel.innerHTML = '<em>Change history could not be loaded</em>';
+  }
+}
+
+auditToggle?.addEventListener('change', () => {
+  auditPanel.style.display = auditToggle.checked ? 'block' : 'none';
+  loadAudit();
+});
+
+// --- data-quality problems ---------------------------------------------------------
+async function loadProblems() {
+  try {
+    const res = await fetch(`/api/quality?root=${currentRootId}`);
+    if (!res.ok) throw new Error(res.statusText);
+    const { counts, problems } = await res.json();
+    problemsCount.textContent = problems.length
+      ? `(${SEVERITY_ORDER.filter(s => counts[s]).map(s => `${counts[s]} ${s}`).join(', ')})`
+      : '';
+    if (!problemsToggle?.checked) return;
+    const rows = problems.map(p => `<tr data-id="${p.id}">
+      <td class="quality-${p.severity}">${p.severity}</td>
+      <td>#${p.id}</td>
+      <td>${escapeHtml(p.name)}</td>
+      <td>${escapeHtml(p.message)}</td>
+    </tr>`).join('');
+    problemsPanel.innerHTML = problems.length
+      ? `<table class="import problems"><thead><tr><th>Severity</th><th>Item</th><th>Title</th><th>Problem</th></tr></thead><tbody>${rows}</tbody></table>`
+      : '<em>No problems found</em>';
+  } catch (err) {
+    console.error('[loadProblems] failed', err);
+    problemsPanel.innerHTML = '<em>Quality report could not be loaded</em>';
+  }
+}
+
+/** Scroll to and select a row, leaving "only phases" if it hides the row */
+function jumpToRow(id) {
+  if (!gantt.isTaskExists(id) && phaseToggle.checked) {
+    phaseToggle.checked = false;
+    phaseToggle.dispatchEvent(new Event('change'));
+  }
+  if (!gantt.isTaskExists(id)) return;
+  for (let p = gantt.getParent(id); p; p = gantt.getParent(p)) gantt.open(p);
+  gantt.showTask(id);
+  gantt.selectTask(id);
+}
+
+problemsPanel?.addEventListener('click', e => {
+  const row = e.target.closest('tr[data-id]');
+  if (row) jumpToRow(Number(row.dataset.id));
+});
+
+problemsToggle?.addEventListener('change', () => {
+  problemsPanel.style.display = problemsToggle.checked ? 'block' : 'none';
+  loadProblems();
+});
+
+// --- merge dialog ------------------------------------------------------------
+const mergeDialog = $id('mergeDialog');
+
+function mergeValue(v) {
+  if (v == null || v === '') return '–';
+  const d = typeof v === 'string' && /^\d{4}-\d\d-\d\dT/.test(v) ? moment(v) : null;
+  return d?.isValid() ? d.format(DATE_FMT) : String(v);
+}
+
+/**
+ * Show mine vs. theirs per field and resolve once the user picked: keep
+ * all of mine, take all of theirs, or apply a field-by-field selection.
+ */
+function resolveConflict(id, conflict) {
+  const fields = conflict.fields || [];
+  $id('mergeInfo').textContent =
+    `#${id} was changed by ${conflict.changedBy || 'someone else'}` +
+    (conflict.changedDate ? ` at ${moment(conflict.changedDate).format(DATE_FMT)}` : '') + '.';
+
+  const tbody = $id('mergeRows');
+  tbody.innerHTML = '';
+  fields.forEach((f, i) => {
+    const tr = document.createElement('tr');
+    const name = document.createElement('td');
+    name.textContent = f.field.split('.').pop();
+    tr.appendChild(name);
+    for (const side of ['mine', 'theirs']) {
+      const td = document.createElement('td');
+      const label = document.createElement('label');
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = `merge-${i}`;
+      radio.value = side;
+      radio.checked = side === 'mine';
+      label.append(radio, ` ${mergeValue(f[side])}`);
+      td.appendChild(label);
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  });
+  mergeDialog.style.display = 'block';
+
+  return new Promise((resolve, reject) => {
+    const finish = async choice => {
+      mergeDialog.style.display = 'none';
+      mergeDialog.onclick = null;
+      const mine = fields.filter((f, i) =>
+        choice === 'mine' ||
+        (choice === 'pick' && tbody.querySelector(`input[name="merge-${i}"]:checked`)?.value === 'mine'));
+      console.log('[resolveConflict]', id, choice, mine.map(f => f.field));
+      try {
+        const result = mine.length
+          ? await saveTaskPatch(id, mine.map(f => ({ op: 'replace', path: f.path, value: f.mine })), conflict.rev)
+          : { ok: true, rev: conflict.rev };
+        await loadGantt(currentRootId);
+        resolve(result);
+      } catch (err) {
+        reject(err);
+      }
+    };
+    mergeDialog.onclick = e => {
+      const choice = { mergeMine: 'mine', mergeTheirs: 'theirs', mergeApply: 'pick' }[e.target.id];
+      if (choice) finish(choice);
+    };
+  });
+}
+
 function buildPatch(task) {
   const patch = [];
   // Convert dates back to ISO for the backend update call
   if (task.start_date) {
-    patch.push({ op: 'replace', path: '/fields/StartDate', value: moment(task.start_date, DATE_FMT).format('YYYY-MM-DD') });
+    patch.push({ op: 'replace', path: fieldPath('startDate'), value: moment(task.start_date, DATE_FMT).toISOString() });
   }
   if (task.end_date) {
-    patch.push({ op: 'replace', path: '/fields/FinishDate', value: moment(task.end_date, DATE_FMT).format('YYYY-MM-DD') });
+    patch.push({ op: 'replace', path: fieldPath('finishDate'), value: moment(task.end_date, DATE_FMT).toISOString() });
   }
   if (task.text) {
     patch.push({ op: 'replace', path: '/fields/System.Title', value: task.text });
@@ -304,7 +1345,7 @@ function buildPatch(task) {
     patch.push({ op: 'replace', path: '/fields/System.AssignedTo', value: task.assignedTo });
   }
   if (task.billable != null) {
-    patch.push({ op: 'replace', path: '/fields/Custom.Billable', value: normalizeBool(task.billable) });
+    patch.push({ op: 'replace', path: fieldPath('billable'), value: normalizeBool(task.billable) });
   }
   return patch;
 }
@@ -319,6 +1360,97 @@ zoomPicker?.addEventListener('change', () =>
   drawGantt(mapRowsToTasks(filteredRowsCached))
 );
 
+// Download the current plan; the select acts as a one-shot menu
+exportPicker?.addEventListener('change', () => {
+  const format = exportPicker.value;
+  exportPicker.value = '';
+  if (!format) return;
+  console.log('[export]', currentRootId, format);
+  window.location.href = `/api/gantt/${currentRootId}/export?format=${format}`;
+});
+
+// --- plan import -------------------------------------------------------------
+let pendingImport = null;   // { format, content } awaiting confirmation
+
+function renderImportItems(items, results) {
+  const byKey = new Map((results || []).map(r => [r.key, r]));
+  return items.map(i => {
+    const r = byKey.get(i.key);
+    const changes = Object.entries(i.changes || {})
+      .map(([k, c]) => `${k}: ${c.from ?? '–'} ➜ ${c.to}`).join(', ');
+    const outcome = !r ? '' : r.ok ? `✅ #${r.id ?? ''}` : `❌ ${escapeHtml(r.error)}`;
+    return `<tr class="import-${i.action}">
+      <td style="padding-left:${i.level}em">${escapeHtml(i.name)}</td>
+      <td>${i.action}</td><td>${escapeHtml(i.type)}</td><td>${i.est ?? ''}</td>
+      <td>${i.finish ? moment(i.finish).format('DD.MM.YYYY') : ''}</td>
+      <td>${escapeHtml(changes)}</td><td>${outcome}</td>
+    </tr>`;
+  }).join('');
+}
+
+function showImport(summary, items, results) {
+  const head = '<tr><th>Title</th><th>Action</th><th>Type</th><th>Est</th><th>Due</th><th>Changes</th><th>Result</th></tr>';
+  const buttons = results
+    ? '<button id="importClose">Close</button>'
+    : '<button id="importApply">Apply import</button> <button id="importClose">Cancel</button>';
+  importPanel.innerHTML = `
+    <h3>Import ${results ? 'result' : 'preview'}</h3>
+    <p>Create: ${summary.create} | Update: ${summary.update} | Unchanged: ${summary.match}` +
+    `${results ? ` | Failed: ${summary.failed}` : ''}</p>
+    <table class="import"><thead>${head}</thead><tbody>${renderImportItems(items, results)}</tbody></table>
+    <p>${buttons}</p>`;
+  importPanel.style.display = 'block';
+  $id('importClose').addEventListener('click', () => {
+    importPanel.style.display = 'none';
+    pendingImport = null;
+  });
+  $id('importApply')?.addEventListener('click', applyImport);
+}
+
+async function postImport(path, body) {
+  const res = await fetch(`/api/gantt/${currentRootId}/${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || res.statusText);
+  return data;
+}
+
+importFile?.addEventListener('change', async () => {
+  const file = importFile.files[0];
+  importFile.value = '';
+  if (!file) return;
+  const format = /\.xml$/i.test(file.name) ? 'mspdi' : 'csv';
+  pendingImport = { format, content: await file.text(), team: teamPicker.value };
+  console.log('[import] preview', file.name, format);
+  try {
+    const data = await postImport('import/preview', pendingImport);
+    showImport(data.summary, data.items);
+  } catch (err) {
+    console.error('[import] preview failed', err);
+    alert(`Import preview failed: ${err.message}`);
+  }
+});
+
+async function applyImport() {
+  if (!pendingImport) return;
+  console.log('[import] applying');
+  $id('importApply').disabled = true;
+  try {
+    const data = await postImport('import', pendingImport);
+    showImport(data.summary, data.items, data.results);
+    loadGantt(currentRootId);
+  } catch (err) {
+    console.error('[import] failed', err);
+    alert(`Import failed: ${err.message}`);
+  }
+  pendingImport = null;
+}
+
+criticalToggle?.addEventListener('change', () => gantt.render());
+
 phaseToggle?.addEventListener('change', () => {
   const filtered = phaseToggle.checked
     ? allRows.filter(r => !r.parent || IS_PHASE(r.name))
@@ -334,15 +1466,69 @@ function resetTaskEditor() {
   taskEstInput.value = '';
   taskBillableInput.checked = false;
   taskDoneInput.value = '';
+  taskAssigneeInput.value = '';
+  taskParentInput.value = '';
   taskEditor.style.display = 'none';
 }
 
+// Show the editor empty, remembering below which row the new item goes
+function openTaskCreator(parentId) {
+  resetTaskEditor();
+  taskEditorTitle.textContent = 'New Work Item';
+  taskParentInput.value = parentId || currentRootId;
+  const parent = gantt.isTaskExists(parentId) ? gantt.getTask(parentId) : null;
+  // below an existing row we usually add tasks, at the top level projects
+  taskTypeInput.value = parent ? plannerConfig.types.task : plannerConfig.types.project;
+  taskTypeRow.style.display = '';
+  taskEditor.style.display = 'block';
+  taskTitleInput.focus();
+}
+
+async function createTask() {
+  const body = {
+    type: taskTypeInput.value,
+    name: taskTitleInput.value,
+    parent: Number(taskParentInput.value),
+    assignedTo: taskAssigneeInput.value || undefined,
+    billable: taskBillableInput.checked,
+    team: teamPicker.value
+  };
+  if (taskDueInput.value) body.dueDate = taskDueInput.value;
+  if (taskEstInput.value) body.duration = Number(taskEstInput.value);
+  if (!body.name) return;
+
+  console.log('[taskCreate] sending', body);
+  try {
+    const res = await fetch('/api/task', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await res.json().catch(() => ({}));
+    console.log('[taskCreate] response', res.status, data);
+    if (!res.ok) throw new Error(data.error || res.statusText);
+    resetTaskEditor();
+    await loadGantt(currentRootId);
+    if (gantt.isTaskExists(data.id)) {
+      gantt.showTask(data.id);
+      gantt.selectTask(data.id);
+    }
+  } catch (err) {
+    console.error('[taskCreate] failed', err);
+    alert(`Could not create work item: ${err.message}`);
+  }
+}
+
 taskSaveBtn?.addEventListener('click', async () => {
   const id = taskIdInput.value;
-  if (!id) return;
+  if (!id) {
+    if (taskParentInput.value) await createTask();
+    return;
+  }
 
-    const task = gantt.getTask(id);
+  const task = gantt.getTask(id);
   if (taskTitleInput.value) task.text = taskTitleInput.value;
+  task.assignedTo = taskAssigneeInput.value;
   if (taskDueInput.value) {
     task.end_date = moment(taskDueInput.value).format(DATE_FMT);
   }
@@ -356,7 +1542,7 @@ taskSaveBtn?.addEventListener('click', async () => {
   if (duration) {
     patch.push({
       op: 'replace',
-      path: '/fields/Microsoft.VSTS.Scheduling.OriginalEstimate',
+      path: fieldPath('originalEstimate'),
       value: duration
     });
   }
@@ -367,15 +1553,10 @@ taskSaveBtn?.addEventListener('click', async () => {
   }
 
   try {
-    const res = await fetch(`/api/task/${id}`, {
-      method: 'PATCH',
-      headers: { 'Content-Type': 'application/json-patch+json' },
-      body: JSON.stringify(patch)
-    });
-    const data = await res.json().catch(() => ({}));
-    console.log('[taskSave] response', res.status, data);
+    await saveTaskPatch(id, patch);
   } catch (err) {
-    console.error('[taskSave] network error', err);
+    console.error('[taskSave] failed', err);
+    alert(`Could not save #${id}:\n${err.message}`);
   }
 
   loadGantt(currentRootId);
@@ -395,21 +1576,158 @@ document.addEventListener('click', e => {
   }
 });
 
-async function loadGantt(rootId) {
-  console.log('[loadGantt] rootId=', rootId);
-  const res = await fetch(`/api/gantt/${rootId}`);
+// Show cache age and, when the server is refreshing in the background,
+// fetch again once the fresh tree should be there
+let cacheReloadTimer = null;
+function updateCacheStatus(rootId, cache) {
+  if (!cacheStatus || !cache) return;
+  const at = cache.updatedAt ? moment(cache.updatedAt).format('HH:mm:ss') : '–';
+  cacheStatus.textContent = cache.refreshing ? `data from ${at}, refreshing…` : `data from ${at}`;
+  clearTimeout(cacheReloadTimer);
+  if (cache.refreshing) {
+    const wait = Math.max(2000, cache.lastDurationMs || 0);
+    cacheReloadTimer = setTimeout(() => {
+      if (rootId === currentRootId) loadGantt(rootId);
+    }, wait);
+  }
+}
+
+async function loadGantt(rootId, { force = false } = {}) {
+  console.log('[loadGantt] rootId=', rootId, 'force=', force);
+  if (portfolio) leavePortfolio();
+  const timesheetLink = $id('timesheetLink');
+  if (timesheetLink) timesheetLink.href = `timesheet.html?root=${rootId}`;
+  if (rootId !== currentRootId) {
+    currentRootId = rootId;
+    baselineRows = new Map();
+    commitReport = null;
+    schedulePreview = null;
+    if (schedulePanel) schedulePanel.style.display = 'none';
+    loadBaselineList(rootId);
+  }
+  watchTree(rootId);
+  const res = await fetch(`/api/gantt/${rootId}${force ? '?refresh=1' : ''}`);
   console.log('[loadGantt] status', res.status);
-  const rows = await res.json();
-  console.log('[loadGantt] received', rows.length, 'rows');
+  const { rows, links, cache } = await res.json();
+  console.log('[loadGantt] received', rows.length, 'rows', links.length, 'links', cache);
+  updateCacheStatus(rootId, cache);
   allRows = rows;
+  allLinks = links;
+  await loadCalendar(teamPicker.value);
+  await loadScenarioList(rootId);
   const filtered = phaseToggle.checked
     ? rows.filter(r => !r.parent || IS_PHASE(r.name))
     : rows;
   filteredRowsCached = filtered;
   drawGantt(mapRowsToTasks(filteredRowsCached));
   updateSummary(rows);
+  loadBurn();
+  loadBudget();
+  loadAudit();
+  loadProblems();
+}
+
+// --- portfolio ---------------------------------------------------------------------
+// All projects of a location (or team) in one read-only chart, each collapsed
+// to a summary bar; people over capacity on several projects are listed below
+
+function renderPortfolio() {
+  const hours = n => `${Math.round(n * 10) / 10}h`;
+  const day = d => (d ? moment(d).format('DD.MM.YYYY') : '–');
+  const projects = portfolio.projects.map(p => `<tr data-id="${p.id}">
+    <td>#${p.id}</td>
+    <td>${escapeHtml(p.title)}</td>
+    ${p.error
+      ? `<td colspan="4" class="variance-bad">${escapeHtml(p.error)}</td>`
+      : `<td>${hours(p.done)} / ${hours(p.est)}</td><td>${Math.round(p.progress * 100)}%</td><td>${day(p.start)}</td><td>${day(p.finish)}</td>`}
+  </tr>`).join('');
+  const conflicts = portfolio.conflicts.map(c => `<tr data-id="${c.tasks[0]}">
+    <td>${escapeHtml(c.person)}</td>
+    <td>${moment(c.week, 'YYYY-MM-DD').format('[W]W YYYY')}</td>
+    <td class="variance-bad">${hours(c.load)} / ${hours(c.capacity)}</td>
+    <td>${c.projects.map(p => escapeHtml(p.title)).join(', ')}</td>
+    <td>${c.tasks.map(id => `#${id}`).join(' ')}</td>
+  </tr>`).join('');
+  portfolioPanel.innerHTML =
+    `<table class="import problems"><thead><tr><th>Project</th><th>Title</th><th>Done / Est</th><th>Progress</th><th>Start</th><th>Finish</th></tr></thead><tbody>${projects}</tbody></table>` +
+    (conflicts
+      ? `<h4>Booked over capacity on several projects</h4><table class="import problems"><thead><tr><th>Person</th><th>Week</th><th>Booked / available</th><th>Projects</th><th>Tasks</th></tr></thead><tbody>${conflicts}</tbody></table>`
+      : '<p><em>Nobody is booked over capacity across projects</em></p>');
+  portfolioPanel.style.display = 'block';
+}
+
+async function loadPortfolio(scope) {
+  const params = new URLSearchParams({ team: teamPicker.value });
+  if (scope === 'location') params.set('location', locationPicker.value);
+  console.log('[loadPortfolio]', params.toString());
+  summaryDiv.textContent = 'Loading portfolio…';
+  let data;
+  try {
+    const res = await fetch(`/api/portfolio?${params}`);
+    data = await res.json();
+    if (!res.ok) throw new Error(data.error || res.statusText);
+  } catch (err) {
+    console.error('[loadPortfolio] failed', err);
+    summaryDiv.textContent = `Portfolio could not be loaded: ${err.message}`;
+    return;
+  }
+  console.log('[loadPortfolio] received', data.projects.length, 'projects', data.rows.length, 'rows',
+    data.conflicts.length, 'conflicts');
+
+  // nothing of the single-tree view applies to the combined chart
+  treeEvents?.close();
+  treeEvents = null;
+  clearTimeout(cacheReloadTimer);
+  if (cacheStatus) cacheStatus.textContent = '';
+  baselineRows = new Map();
+  scenario = null;
+  renderScenario();
+  if (schedulePanel) schedulePanel.style.display = 'none';
+  for (const el of [scheduleBtn, taskSaveBtn]) {
+    if (el) el.disabled = true;
+  }
+
+  portfolio = {
+    ...data,
+    projectIds: new Set(data.projects.map(p => p.id)),
+    conflictIds: new Set(data.conflicts.flatMap(c => c.tasks))
+  };
+  allRows = data.rows;
+  allLinks = data.links;
+  await loadCalendar(teamPicker.value);
+  filteredRowsCached = phaseToggle.checked
+    ? allRows.filter(r => !r.parent || IS_PHASE(r.name))
+    : allRows;
+  drawGantt(mapRowsToTasks(filteredRowsCached));
+  const live = data.projects.filter(p => !p.error);
+  const est = live.reduce((s, p) => s + p.est, 0);
+  const done = live.reduce((s, p) => s + p.done, 0);
+  const people = new Set(data.conflicts.map(c => c.person)).size;
+  summaryDiv.textContent =
+    `Portfolio: ${live.length} projects | Est: ${Math.round(est)}h | Done: ${Math.round(done)}h` +
+    ` | ${est ? Math.round(Math.min(1, done / est) * 100) : 0}% | Over capacity across projects: ${people} people`;
+  renderPortfolio();
 }
 
+function leavePortfolio() {
+  portfolio = null;
+  for (const el of [scheduleBtn, taskSaveBtn]) {
+    if (el) el.disabled = false;
+  }
+  if (portfolioPicker) portfolioPicker.value = '';
+  if (portfolioPanel) portfolioPanel.style.display = 'none';
+}
+
+portfolioPanel?.addEventListener('click', e => {
+  const row = e.target.closest('tr[data-id]');
+  if (row) jumpToRow(Number(row.dataset.id));
+});
+
+portfolioPicker?.addEventListener('change', () => {
+  if (portfolioPicker.value) loadPortfolio(portfolioPicker.value);
+  else loadGantt(projectPicker.value || currentRootId);
+});
+
 async function populateProjects(location, team) {
   if (!location || !team) return;
   console.log('[populateProjects] location=', location, 'team=', team);
@@ -429,7 +1747,122 @@ async function populateProjects(location, team) {
     projectPicker.appendChild(opt);
   }
   projectPicker.selectedIndex = 0;
-  loadGantt(projectPicker.value);
+  if (portfolioPicker?.value) loadPortfolio(portfolioPicker.value);
+  else loadGantt(projectPicker.value);
+  loadCapacity();
+}
+
+// --- sign-in -------------------------------------------------------------------
+// Without a session the dashboard is read-only; edits use the user's own token
+let session = { user: null, canEdit: false };
+
+function applySession(s) {
+  session = s;
+  const signedIn = !!s.user;
+  userName.textContent = signedIn ? s.user.name : '';
+  patInput.style.display = signedIn ? 'none' : '';
+  loginBtn.style.display = signedIn ? 'none' : '';
+  logoutBtn.style.display = signedIn ? '' : 'none';
+
+  editableBox.disabled = !s.canEdit;
+  $id('editableLabel').title = s.canEdit ? '' : 'Sign in to edit';
+  for (const el of [importFile, baselineSave, baselineDelete]) {
+    if (el) el.disabled = !s.canEdit;
+  }
+  renderScenario();
+  if (!s.canEdit && editableBox.checked) {
+    editableBox.checked = false;
+    toggleEditable();
+  }
+}
+
+async function loadSession() {
+  try {
+    const res = await fetch('/api/auth/me');
+    applySession(await res.json());
+  } catch (err) {
+    console.error('[loadSession] failed', err);
+  }
+}
+
+loginBtn?.addEventListener('click', async () => {
+  const pat = patInput.value.trim();
+  if (!pat) return patInput.focus();
+  const res = await fetch('/api/auth/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ provider: 'pat', pat })
+  });
+  const data = await res.json().catch(() => ({}));
+  patInput.value = '';
+  if (!res.ok) return alert(`Sign-in failed: ${data.error || res.statusText}`);
+  applySession(data);
+});
+
+logoutBtn?.addEventListener('click', async () => {
+  const res = await fetch('/api/auth/logout', { method: 'POST' });
+  applySession(await res.json());
+});
+
+// --- team picker ---------------------------------------------------------------
+// Options come from /api/teams (grouped per organisation); the last choice is
+// remembered locally and the organisation is handed to the server as cookie
+const TEAM_STORAGE_KEY = 'planner.team';
+const ORG_COOKIE = 'ado-org';
+
+function rememberTeam() {
+  const org = teamPicker.selectedOptions[0]?.dataset.org;
+  if (!org) return;
+  document.cookie = `${ORG_COOKIE}=${encodeURIComponent(org)}; path=/; SameSite=Lax`;
+  localStorage.setItem(TEAM_STORAGE_KEY, JSON.stringify({ org, project: teamPicker.value }));
+}
+
+function savedTeam() {
+  try {
+    return JSON.parse(localStorage.getItem(TEAM_STORAGE_KEY) || 'null');
+  } catch {
+    return null;
+  }
+}
+
+async function populateTeams() {
+  let data;
+  try {
+    const res = await fetch('/api/teams');
+    if (!res.ok) throw new Error(res.statusText);
+    data = await res.json();
+  } catch (err) {
+    console.error('[populateTeams] failed', err);
+    teamPicker.innerHTML = '<option disabled>(No teams)</option>';
+    return;
+  }
+  console.log('[populateTeams] orgs', data.orgs.map(o => `${o.org}: ${o.projects.length}`));
+
+  teamPicker.innerHTML = '';
+  const grouped = data.orgs.length > 1;
+  for (const { org, projects, error } of data.orgs) {
+    const parent = grouped ? document.createElement('optgroup') : teamPicker;
+    if (grouped) {
+      parent.label = error ? `${org} (unavailable)` : org;
+      teamPicker.appendChild(parent);
+    }
+    for (const p of projects) {
+      const opt = document.createElement('option');
+      opt.value = p.name;
+      opt.textContent = p.name;
+      opt.dataset.org = org;
+      parent.appendChild(opt);
+    }
+  }
+  if (!teamPicker.options.length) {
+    teamPicker.innerHTML = '<option disabled>(No teams)</option>';
+    return;
+  }
+
+  const wanted = savedTeam() || data.default;
+  const match = [...teamPicker.options].find(o => o.dataset.org === wanted.org && o.value === wanted.project);
+  (match || teamPicker.options[0]).selected = true;
+  rememberTeam();
 }
 
 async function populateLocations(team) {
@@ -454,17 +1887,36 @@ async function populateLocations(team) {
   populateProjects(list[0].title, team);
 }
 
-function init() {
+async function init() {
+  try {
+    await loadPlannerConfig();
+  } catch (err) {
+    console.error('[init] could not load planner config', err);
+    summaryDiv.textContent = `Could not load planner config: ${err.message}`;
+    return;
+  }
+
+  refreshBtn?.addEventListener('click', () => (portfolio
+    ? loadPortfolio(portfolioPicker.value)
+    : loadGantt(currentRootId, { force: true })));
   projectPicker.addEventListener('change', () => loadGantt(projectPicker.value));
-  teamPicker.addEventListener('change', () => populateLocations(teamPicker.value));
+  teamPicker.addEventListener('change', () => {
+    rememberTeam();
+    loadSession();
+    populateLocations(teamPicker.value);
+  });
   locationPicker.addEventListener('change', () =>
     populateProjects(locationPicker.value, teamPicker.value)
   );
 
+  // sessions belong to one organisation – pick it before asking who is signed in
+  await populateTeams();
+  await loadSession();
   if (teamPicker.value) {
     populateLocations(teamPicker.value);
   } else {
     loadGantt(currentRootId);
+    loadBaselineList(currentRootId);
   }
 }
 
@@ -0,0 +1,93 @@
+// -------------------------------------------------------------
+// public/timesheet.js
+// Timesheet report: CompletedWork per person / project / phase.
+// -------------------------------------------------------------
+
+function $id(id) {
+  return document.getElementById(id);
+}
+
+/** Text from ADO (titles, names) made safe for innerHTML templates */
+function escapeHtml(s) {
+  return String(s ?? '').replace(/[<>&'"]/g, c =>
+    ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&#39;', '"': '&quot;' })[c]);
+}
+
+const tsRoot   = $id('tsRoot');
+const tsFrom   = $id('tsFrom');
+const tsTo     = $id('tsTo');
+const tsPeople = $id('tsPeople');
+const tsGroup  = $id('tsGroup');
+const tsCsv    = $id('tsCsv');
+const tsTotals = $id('tsTotals');
+const tsTable  = $id('tsTable');
+
+let lastSheet = null;
+
+function queryParams(format) {
+  const params = new URLSearchParams({
+    root: tsRoot.value.replace(/\s+/g, ''),
+    from: tsFrom.value,
+    to: tsTo.value
+  });
+  if (tsPeople.value.trim()) params.set('people', tsPeople.value);
+  if (format) params.set('format', format);
+  return params;
+}
+
+// Entries grouped under a header row with the group's subtotal
+function renderSheet(sheet) {
+  const key = tsGroup.value;
+  const groups = new Map();
+  for (const e of sheet.entries) {
+    if (!groups.has(e[key])) groups.set(e[key], []);
+    groups.get(e[key]).push(e);
+  }
+  const body = [...groups.entries()].map(([name, list]) => {
+    const sum = list.reduce((s, e) => s + e.hours, 0);
+    const lines = list.map(e => `<tr>
+      <td>${moment(e.date).format('DD.MM.YYYY')}</td><td>${escapeHtml(e.person)}</td><td>${escapeHtml(e.project)}</td>
+      <td>${escapeHtml(e.phase)}</td><td>#${e.taskId} ${escapeHtml(e.task)}</td><td>${escapeHtml(e.billable)}</td><td>${e.hours}</td>
+    </tr>`).join('');
+    return `<tr class="group"><th colspan="6">${escapeHtml(name || '(none)')}</th><th>${Math.round(sum * 100) / 100}</th></tr>${lines}`;
+  }).join('');
+
+  tsTable.innerHTML = sheet.entries.length
+    ? `<table class="timesheet">
+        <thead><tr><th>Date</th><th>Person</th><th>Project</th><th>Phase</th><th>Task</th><th>Billable</th><th>Hours</th></tr></thead>
+        <tbody>${body}</tbody>
+      </table>`
+    : '<em>No completed work in this period</em>';
+
+  const b = sheet.totals.byBillable;
+  tsTotals.textContent =
+    `Total: ${sheet.totals.hours}h | Billable: ${b.Billable || 0}h | Non-billable: ${b['Non-billable'] || 0}h | Unset: ${b.Unset || 0}h`;
+}
+
+async function loadTimesheet() {
+  if (!tsRoot.value || !tsFrom.value || !tsTo.value) return;
+  const params = queryParams();
+  tsCsv.href = `/api/timesheet?${queryParams('csv')}`;
+  tsTable.innerHTML = '<em>Loading…</em>';
+  const res = await fetch(`/api/timesheet?${params}`);
+  const data = await res.json();
+  if (!res.ok) {
+    tsTable.innerHTML = `<em>${escapeHtml(data.error || res.statusText)}</em>`;
+    return;
+  }
+  lastSheet = data;
+  renderSheet(data);
+}
+
+function init() {
+  const q = new URLSearchParams(location.search);
+  // default: the previous calendar month, the usual invoicing period
+  tsRoot.value = q.get('root') || '';
+  tsFrom.value = q.get('from') || moment().subtract(1, 'month').startOf('month').format('YYYY-MM-DD');
+  tsTo.value = q.get('to') || moment().subtract(1, 'month').endOf('month').format('YYYY-MM-DD');
+  $id('tsLoad').addEventListener('click', loadTimesheet);
+  tsGroup.addEventListener('change', () => lastSheet && renderSheet(lastSheet));
+  loadTimesheet();
+}
+
+document.addEventListener('DOMContentLoaded', init);
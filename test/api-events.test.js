@@ -0,0 +1,107 @@
+// /api/events (Server-Sent Events) and the ADO service hook
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { startServer } from './helpers/server.js';
+
+const ROOT = 14681;
+const SECRET = 'hook-secret';
+
+let server;
+before(async () => { server = await startServer({ WEBHOOK_SECRET: SECRET }); });
+after(() => server?.stop());
+
+/** Open an event stream; `next(name)` resolves to the data of the next such event */
+function openEvents(url) {
+  const waiting = [];
+  let buffer = '';
+  const req = http.get(server.base + url);
+  const opened = new Promise((resolve, reject) => {
+    req.once('error', reject);
+    req.once('response', res => {
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) >= 0) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const event = /^event: (.*)$/m.exec(block)?.[1];
+          const data = /^data: (.*)$/m.exec(block)?.[1];
+          const i = waiting.findIndex(w => w.name === event);
+          if (i >= 0) waiting.splice(i, 1)[0].resolve(JSON.parse(data));
+        }
+      });
+      resolve(res);
+    });
+  });
+  return {
+    opened,
+    next: name => new Promise(resolve => waiting.push({ name, resolve })),
+    close: () => req.destroy()
+  };
+}
+
+const hook = (body, headers = { 'X-Planner-Secret': SECRET }) =>
+  server.request('/api/hooks/ado', { method: 'POST', json: body, headers });
+
+describe('GET /api/events', () => {
+  it('rejects an invalid root', async () => {
+    assert.equal((await server.request('/api/events?root=x')).status, 400);
+  });
+
+  it('pushes rows changed in ADO once the service hook reports them', async () => {
+    await server.request(`/api/gantt/${ROOT}`);   // cache the tree
+    const events = openEvents(`/api/events?root=${ROOT}`);
+    try {
+      const res = await events.opened;
+      assert.match(res.headers['content-type'], /text\/event-stream/);
+
+      // somebody edits the item in ADO itself
+      const edit = await server.request('/_mock/demo/_apis/wit/workitems/14689', {
+        method: 'PATCH',
+        json: [{ op: 'replace', path: '/fields/System.Title', value: 'Content migration and redirects' }]
+      });
+      assert.equal(edit.status, 200);
+
+      const pushed = events.next('tree');
+      const answer = await hook({ eventType: 'workitem.updated', resource: { workItemId: 14689 } });
+      assert.deepEqual(await answer.json(), { ok: true, trees: [ROOT] });
+
+      const change = await pushed;
+      assert.equal(change.rootId, ROOT);
+      assert.deepEqual(change.rows.map(r => [r.id, r.name]), [[14689, 'Content migration and redirects']]);
+      assert.deepEqual(change.removed, []);
+    } finally {
+      events.close();
+    }
+  });
+});
+
+describe('POST /api/hooks/ado', () => {
+  it('needs the shared secret', async () => {
+    const res = await hook({ eventType: 'workitem.updated', resource: { workItemId: 14689 } }, { 'X-Planner-Secret': 'wrong' });
+    assert.equal(res.status, 401);
+  });
+
+  it('accepts the secret as basic auth password', async () => {
+    const auth = `Basic ${Buffer.from(`ado:${SECRET}`).toString('base64')}`;
+    const res = await hook({ eventType: 'workitem.deleted', resource: { id: 14703 } }, { Authorization: auth });
+    assert.equal(res.status, 200);
+  });
+
+  it('ignores other events', async () => {
+    const res = await hook({ eventType: 'git.push', resource: {} });
+    assert.deepEqual(await res.json(), { ok: true, ignored: true });
+  });
+
+  it('does not exist without a secret', async () => {
+    const plain = await startServer();
+    try {
+      const res = await plain.request('/api/hooks/ado', { method: 'POST', json: {} });
+      assert.equal(res.status, 404);
+    } finally {
+      await plain.stop();
+    }
+  });
+});
@@ -0,0 +1,252 @@
+// Read-only /api routes against the mock ADO (fixtures/demo.json)
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isoDay, startServer } from './helpers/server.js';
+
+const ROOT = 14681;          // "Website relaunch"
+const OTHER_ROOT = 14700;    // "Intranet upgrade"
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server?.stop());
+
+const getJson = async (url, status = 200) => {
+  const res = await server.request(url);
+  assert.equal(res.status, status, `${url} ➜ ${res.status}`);
+  return res.json();
+};
+
+describe('GET /api/gantt/:rootId', () => {
+  it('returns the tree below the root in depth-first order with links', async () => {
+    const { rows, links, cache } = await getJson(`/api/gantt/${ROOT}`);
+    assert.deepEqual(rows.map(r => r.id), [14681, 14682, 14683, 14684, 14685, 14686, 14687, 14688, 14689]);
+    assert.equal(rows.find(r => r.id === 14687).parent, 14686);
+    assert.equal(rows.find(r => r.id === 14687).assignedTo, 'Ben Lund');
+    assert.deepEqual(links.map(l => [l.source, l.target]).sort(), [[14684, 14685], [14685, 14687], [14687, 14688]]);
+    assert.ok(cache.updatedAt);
+  });
+
+  it('rejects ids that are not work item ids', async () => {
+    await getJson('/api/gantt/abc', 400);
+    await getJson('/api/gantt/-1', 400);
+  });
+
+  it('lists and drops cached trees', async () => {
+    const cookie = await server.login();
+    const status = await (await server.request('/api/cache', { cookie })).json();
+    assert.ok(JSON.stringify(status).includes(String(ROOT)));
+    const refreshed = await server.request(`/api/cache/${ROOT}/refresh`, { method: 'POST', cookie });
+    assert.equal(refreshed.status, 200);
+    const dropped = await server.request(`/api/cache/${ROOT}`, { method: 'DELETE', cookie });
+    assert.deepEqual(await dropped.json(), { ok: true });
+  });
+
+  it('keeps the cache routes to signed in users', async () => {
+    await getJson('/api/cache', 401);
+    assert.equal((await server.request(`/api/cache/${ROOT}/refresh`, { method: 'POST' })).status, 401);
+    assert.equal((await server.request(`/api/cache/${ROOT}`, { method: 'DELETE' })).status, 401);
+  });
+});
+
+describe('GET /api/gantt/:rootId/export', () => {
+  it('writes CSV with one line per row', async () => {
+    const res = await server.request(`/api/gantt/${ROOT}/export?format=csv`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/csv/);
+    assert.match(res.headers.get('content-disposition'), /plan-14681\.csv/);
+    const lines = (await res.text()).trim().split('\r\n');
+    assert.equal(lines.length, 1 + 9);
+    assert.match(lines[0], /^ID,Parent,Level,Type,Title/);
+  });
+
+  it('leaves the finish empty for rows without a due or finish date', async () => {
+    const res = await server.request(`/api/gantt/${ROOT}/export?format=csv`);
+    const [header, ...lines] = (await res.text()).trim().split('\r\n').map(l => l.split(','));
+    const finish = header.indexOf('Finish');
+    assert.equal(lines.find(l => l[0] === '14689')[finish], '');
+    assert.notEqual(lines.find(l => l[0] === '14688')[finish], '');
+    const xml = await (await server.request(`/api/gantt/${ROOT}/export?format=mspdi`)).text();
+    assert.doesNotMatch(xml.match(/<UID>14689<\/UID>[\s\S]*?<\/Task>/)[0], /<Finish>/);
+  });
+
+  it('writes Excel and MS Project XML', async () => {
+    const xlsx = await server.request(`/api/gantt/${ROOT}/export?format=xlsx`);
+    assert.equal(xlsx.status, 200);
+    assert.equal(Buffer.from(await xlsx.arrayBuffer()).subarray(0, 2).toString(), 'PK');
+    const xml = await server.request(`/api/gantt/${ROOT}/export?format=mspdi`);
+    assert.equal(xml.status, 200);
+    assert.match(await xml.text(), /<Project[\s>][\s\S]*<Name>Website relaunch<\/Name>/);
+  });
+
+  it('rejects unknown formats', async () => {
+    await getJson(`/api/gantt/${ROOT}/export?format=pdf`, 400);
+  });
+});
+
+describe('GET /api/gantt/:rootId/burn', () => {
+  it('rebuilds completed work per day from the history', async () => {
+    const burn = await getJson(`/api/gantt/${ROOT}/burn`);
+    assert.equal(burn.sold, 120);
+    assert.equal(burn.days.length, burn.total.done.length);
+    assert.equal(burn.days.at(-1), isoDay(0));
+    assert.equal(burn.total.done.at(-1), 30);
+    assert.deepEqual(burn.phases.map(p => p.name), ['P1. Discovery', 'P2. Build']);
+  });
+
+  it('rejects an invalid from', async () => {
+    await getJson(`/api/gantt/${ROOT}/burn?from=someday`, 400);
+  });
+});
+
+describe('GET /api/gantt/:rootId/budget', () => {
+  it('sums sold, estimated and consumed hours per phase', async () => {
+    const budget = await getJson(`/api/gantt/${ROOT}/budget`);
+    assert.equal(budget.total.sold, 120);
+    assert.equal(budget.total.est, 108);
+    assert.equal(budget.total.done, 30);
+    assert.equal(budget.total.billable.est + budget.total.nonBillable.est + budget.total.unset.est, 108);
+    assert.deepEqual(budget.phases.map(p => [p.name, p.est, p.done]), [['P1. Discovery', 28, 24], ['P2. Build', 80, 6]]);
+    assert.ok(budget.total.forecast.eac >= budget.total.done);
+  });
+});
+
+describe('GET /api/gantt/:rootId/schedule', () => {
+  it('proposes dates for the open tasks only', async () => {
+    const { tasks, cycles } = await getJson(`/api/gantt/${ROOT}/schedule?from=${isoDay(1)}`);
+    assert.deepEqual(tasks.map(t => t.id), [14685, 14687, 14688, 14689]);
+    assert.deepEqual(cycles, []);
+    const byId = new Map(tasks.map(t => [t.id, t]));
+    // dependency links are kept: 14685 ➜ 14687 ➜ 14688
+    assert.ok(new Date(byId.get(14687).start) >= new Date(byId.get(14685).finish));
+    assert.ok(new Date(byId.get(14688).start) >= new Date(byId.get(14687).finish));
+  });
+
+  it('rejects an invalid from', async () => {
+    await getJson(`/api/gantt/${ROOT}/schedule?from=31.12.2026`, 400);
+  });
+});
+
+describe('GET /api/teams', () => {
+  it('lists the projects of the organisation, optionally with teams', async () => {
+    const { default: def, orgs } = await getJson('/api/teams?teams=1');
+    assert.deepEqual(def, { org: 'demo', project: 'POL' });
+    assert.equal(orgs.length, 1);
+    assert.ok(orgs[0].projects.some(p => p.name === 'POL' && p.teams.length));
+  });
+});
+
+describe('GET /api/locations and /api/projects', () => {
+  it('lists locations of a team', async () => {
+    assert.deepEqual(await getJson('/api/locations?team=POL'), [{ id: '14600', title: 'Oslo' }]);
+  });
+
+  it('lists projects of a location with totals', async () => {
+    const list = await getJson('/api/projects?location=Oslo&team=POL');
+    assert.deepEqual(list.map(p => Number(p.id)).sort(), [ROOT, OTHER_ROOT]);
+    assert.ok(list.every(p => typeof p.est === 'number' && typeof p.done === 'number'));
+  });
+
+  it('needs location and team', async () => {
+    await getJson('/api/projects?team=POL', 400);
+    await getJson('/api/locations?team=POL&team=X', 400);
+  });
+});
+
+describe('GET /api/portfolio', () => {
+  it('combines every project of the location', async () => {
+    const portfolio = await getJson('/api/portfolio?team=POL&location=Oslo');
+    assert.deepEqual(portfolio.projects.map(p => p.id).sort(), [ROOT, OTHER_ROOT]);
+    const relaunch = portfolio.projects.find(p => p.id === ROOT);
+    assert.equal(relaunch.est, 108);
+    assert.equal(relaunch.done, 30);
+    assert.equal(portfolio.rows.length, 9 + 4);
+    assert.ok(Array.isArray(portfolio.conflicts));
+  });
+
+  it('falls back to all locations of the team', async () => {
+    const portfolio = await getJson('/api/portfolio?team=POL');
+    assert.equal(portfolio.location, null);
+    assert.equal(portfolio.projects.length, 2);
+  });
+});
+
+describe('GET /api/capacity', () => {
+  it('books open work per person and week', async () => {
+    const data = await getJson(`/api/capacity?location=Oslo&team=POL&unit=week&from=${isoDay(0)}`);
+    assert.equal(data.buckets.length, data.people[0].load.length);
+    assert.ok(data.people.some(p => p.name === 'Ben Lund' && p.load.some(Boolean)));
+  });
+
+  it('validates the query', async () => {
+    await getJson('/api/capacity?team=POL', 400);
+    await getJson('/api/capacity?location=Oslo&unit=month', 400);
+    await getJson(`/api/capacity?location=Oslo&from=${isoDay(5)}&to=${isoDay(1)}`, 400);
+    await getJson('/api/capacity?location=Oslo&from=next week', 400);
+  });
+
+  it('reads from and to as local days', async () => {
+    const data = await getJson(`/api/capacity?location=Oslo&team=POL&from=${isoDay(0)}&to=${isoDay(7)}`);
+    assert.equal(data.buckets[0], isoDay(0));
+    assert.equal(data.buckets.at(-1), isoDay(6));
+  });
+});
+
+describe('GET /api/timesheet', () => {
+  it('attributes completed work to the revision author', async () => {
+    const sheet = await getJson(`/api/timesheet?root=${ROOT}&from=${isoDay(-40)}&to=${isoDay(0)}`);
+    assert.equal(sheet.totals.hours, 30);
+    assert.ok(sheet.entries.every(e => e.hours > 0));
+    assert.ok(sheet.entries.some(e => e.person === 'Ben Lund'));
+  });
+
+  it('filters by person and writes CSV', async () => {
+    const sheet = await getJson(`/api/timesheet?root=${ROOT}&from=${isoDay(-40)}&to=${isoDay(0)}&people=ben lund`);
+    assert.ok(sheet.entries.length && sheet.entries.every(e => e.person === 'Ben Lund'));
+    const csv = await server.request(`/api/timesheet?root=${ROOT}&from=${isoDay(-40)}&to=${isoDay(0)}&format=csv`);
+    assert.match(await csv.text(), /Date,Person,Project,Phase/);
+  });
+
+  it('validates root and range', async () => {
+    await getJson(`/api/timesheet?from=${isoDay(-1)}&to=${isoDay(0)}`, 400);
+    await getJson(`/api/timesheet?root=${ROOT}&from=${isoDay(0)}&to=${isoDay(-1)}`, 400);
+    await getJson(`/api/timesheet?root=${ROOT}&from=someday&to=${isoDay(0)}`, 400);
+    await getJson(`/api/timesheet?root=${ROOT}&from=${isoDay(-1)}&to=${isoDay(0)}T12:00:00Z`, 400);
+    await getJson(`/api/timesheet?root=${ROOT}&from=${isoDay(-1)}`, 400);
+  });
+});
+
+describe('GET /api/quality', () => {
+  it('reports problems worst first', async () => {
+    const report = await getJson(`/api/quality?root=${ROOT}`);
+    assert.equal(report.root, ROOT);
+    const rank = { error: 0, warning: 1, info: 2 };
+    const ranks = report.problems.map(p => rank[p.severity]);
+    assert.deepEqual(ranks, [...ranks].sort((a, b) => a - b));
+    // 14684: 14 h done of 12 h estimated; 14685: finish date passed
+    assert.ok(report.problems.some(p => p.id === 14684 && p.rule === 'overEstimate'));
+    assert.ok(report.problems.some(p => p.id === 14685 && p.rule === 'overdue'));
+  });
+
+  it('needs a root', async () => {
+    await getJson('/api/quality', 400);
+  });
+});
+
+describe('GET /api/audit', () => {
+  it('is empty before anything was changed', async () => {
+    assert.deepEqual(await getJson(`/api/audit?root=${ROOT}`), []);
+  });
+});
+
+describe('GET /api/config and /api/calendar', () => {
+  it('hands out types and the working calendar', async () => {
+    const config = await getJson('/api/config');
+    assert.equal(config.types.demand, 'ITDemand');
+    const cal = await getJson('/api/calendar?team=POL');
+    assert.ok(cal.hoursPerDay > 0);
+  });
+
+  it('answers unknown api paths with 404', async () => {
+    await getJson('/api/nothing-here', 404);
+  });
+});
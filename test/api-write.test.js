@@ -0,0 +1,343 @@
+// /api routes that change ADO or local state, against the mock ADO
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, TOKENS } from './helpers/server.js';
+
+const ROOT = 14681;
+
+let server;
+let cookie;
+before(async () => {
+  server = await startServer();
+  cookie = await server.login(TOKENS.anna);
+});
+after(() => server?.stop());
+
+/** Request as the signed-in user; resolves to { status, body } */
+async function call(method, url, json, { as = cookie, headers } = {}) {
+  const res = await server.request(url, { method, json, cookie: as, headers });
+  const text = await res.text();
+  let body = text;
+  try { body = JSON.parse(text); } catch { /* not JSON */ }
+  return { status: res.status, body };
+}
+
+/** Sign in to another organisation of `srv`; resolves to the session cookie */
+async function signInTo(srv, org, pat) {
+  const res = await srv.request('/api/auth/login', { method: 'POST', json: { provider: 'pat', pat }, cookie: `ado-org=${org}` });
+  assert.equal(res.status, 200);
+  return res.headers.get('set-cookie').split(';')[0];
+}
+
+const row = async id => {
+  const { body } = await call('GET', `/api/gantt/${ROOT}`);
+  return body.rows.find(r => r.id === id);
+};
+
+describe('auth', () => {
+  it('is anonymous without a session', async () => {
+    const { body } = await call('GET', '/api/auth/me', undefined, { as: null });
+    assert.deepEqual(body, { user: null, canEdit: false });
+  });
+
+  it('signs in with a token ADO accepts', async () => {
+    const { body } = await call('GET', '/api/auth/me');
+    assert.equal(body.user.name, 'Anna Berg');
+    assert.equal(body.canEdit, true);
+  });
+
+  it('refuses unknown tokens and providers', async () => {
+    assert.equal((await call('POST', '/api/auth/login', { pat: 'nope' }, { as: null })).status, 401);
+    assert.equal((await call('POST', '/api/auth/login', { provider: 'ldap' }, { as: null })).status, 400);
+  });
+
+  it('needs a session for changes', async () => {
+    const { status } = await call('PATCH', '/api/task/14689', { name: 'x' }, { as: null });
+    assert.equal(status, 401);
+  });
+
+  it('ends the session on logout', async () => {
+    const other = await server.login(TOKENS.ben);
+    await call('POST', '/api/auth/logout', undefined, { as: other });
+    const { body } = await call('GET', '/api/auth/me', undefined, { as: other });
+    assert.equal(body.user, null);
+  });
+
+  it('keeps a session to the organisation it signed in to', async () => {
+    const multi = await startServer({ ADO_ORGS: 'demo,acme' });
+    try {
+      const session = await multi.login(TOKENS.anna);
+      const me = org => multi.request('/api/auth/me', { cookie: `${session}; ado-org=${org}` }).then(r => r.json());
+      assert.equal((await me('demo')).user.name, 'Anna Berg');
+      assert.deepEqual(await me('acme'), { user: null, canEdit: false });
+      const edit = await multi.request('/api/task/14689', {
+        method: 'PATCH', json: { name: 'x' }, cookie: `${session}; ado-org=acme`
+      });
+      assert.equal(edit.status, 401);
+    } finally {
+      await multi.stop();
+    }
+  });
+});
+
+describe('POST /api/task', () => {
+  it('creates a work item below a parent', async () => {
+    const { status, body } = await call('POST', '/api/task', { name: 'Accessibility review', parent: 14686, duration: 6 });
+    assert.equal(status, 201);
+    const created = await row(body.id);
+    assert.equal(created.name, 'Accessibility review');
+    assert.equal(created.parent, 14686);
+    assert.equal(created.est, 6);
+  });
+
+  it('validates name, type and parent', async () => {
+    assert.equal((await call('POST', '/api/task', { parent: 14686 })).status, 400);
+    assert.equal((await call('POST', '/api/task', { name: 'x', type: 'Bug' })).status, 400);
+    assert.equal((await call('POST', '/api/task', { name: 'x', parent: 'abc' })).status, 400);
+    for (const parent of ['1.5', '1e3', -14686, 0]) {
+      assert.equal((await call('POST', '/api/task', { name: 'x', parent })).status, 400, String(parent));
+    }
+    assert.equal((await call('POST', '/api/task', { name: 'x', dueDate: 'next friday' })).status, 400);
+    assert.equal((await call('POST', '/api/task', { name: 'x', duration: -2 })).status, 400);
+    assert.equal((await call('POST', '/api/task', { name: 'x', duration: '6' })).status, 400);
+  });
+});
+
+describe('PATCH /api/task/:id', () => {
+  it('saves a change and records it in the audit log', async () => {
+    const before = await row(14689);
+    const { status, body } = await call('PATCH', '/api/task/14689', [
+      { op: 'test', path: '/rev', value: before.rev },
+      { op: 'replace', path: '/fields/Title', value: 'Content migration (phase 1)' }
+    ]);
+    assert.equal(status, 200);
+    assert.equal(body.rev, before.rev + 1);
+    assert.deepEqual(body.audit.changes, [{ field: 'System.Title', from: 'Content migration', to: 'Content migration (phase 1)' }]);
+    assert.equal((await row(14689)).name, 'Content migration (phase 1)');
+
+    const { body: audit } = await call('GET', `/api/audit?root=${ROOT}`);
+    assert.equal(audit[0].workItem, 14689);
+    assert.equal(audit[0].user.name, 'Anna Berg');
+  });
+
+  it('answers a stale revision with 409 and the current values', async () => {
+    const { status, body } = await call('PATCH', '/api/task/14689', [
+      { op: 'test', path: '/rev', value: 1 },
+      { op: 'replace', path: '/fields/Title', value: 'Mine' }
+    ]);
+    assert.equal(status, 409);
+    assert.equal(body.error, 'conflict');
+    assert.deepEqual(body.fields.map(f => [f.field, f.theirs]), [['System.Title', 'Content migration (phase 1)']]);
+  });
+
+  it('lists every rejected operation', async () => {
+    const { status, body } = await call('PATCH', '/api/task/14689', [
+      { op: 'replace', path: '/fields/OriginalEstimate', value: 'lots' },
+      { op: 'move', path: '/fields/Title' },
+      { op: 'replace', path: '/fields/System.Reason', value: 'x' }
+    ]);
+    assert.equal(status, 400);
+    assert.deepEqual(body.errors.map(e => e.op), [0, 1, 2]);
+    assert.equal(body.errors[0].field, 'Microsoft.VSTS.Scheduling.OriginalEstimate');
+  });
+
+  it('rejects invalid ids', async () => {
+    assert.equal((await call('PATCH', '/api/task/abc', { name: 'x' })).status, 400);
+  });
+
+  it('rejects an unreadable due date or duration in the object form', async () => {
+    assert.equal((await call('PATCH', '/api/task/14689', { dueDate: '31.12.2026x' })).status, 400);
+    assert.equal((await call('PATCH', '/api/task/14689', { duration: 'lots' })).status, 400);
+  });
+});
+
+describe('/api/link', () => {
+  it('adds and removes a dependency', async () => {
+    const added = await call('POST', '/api/link', { source: 14688, target: 14689 });
+    assert.deepEqual(added.body, { ok: true, id: '14688-14689' });
+    let links = (await call('GET', `/api/gantt/${ROOT}`)).body.links;
+    assert.ok(links.some(l => l.source === 14688 && l.target === 14689));
+
+    const removed = await call('DELETE', '/api/link/14688/14689');
+    assert.deepEqual(removed.body, { ok: true });
+    links = (await call('GET', `/api/gantt/${ROOT}`)).body.links;
+    assert.ok(!links.some(l => l.source === 14688 && l.target === 14689));
+  });
+
+  it('rejects invalid ids and a link to itself', async () => {
+    assert.equal((await call('POST', '/api/link', { source: 14688, target: 14688 })).status, 400);
+    assert.equal((await call('POST', '/api/link', { source: '1.5', target: 14688 })).status, 400);
+    assert.equal((await call('POST', '/api/link', { source: 14688, target: '1e3' })).status, 400);
+    assert.equal((await call('POST', '/api/link', { source: 14688 })).status, 400);
+  });
+
+  it('rejects invalid ids when removing a link', async () => {
+    assert.equal((await call('DELETE', '/api/link/abc/14689')).status, 400);
+    assert.equal((await call('DELETE', '/api/link/14688/-3')).status, 400);
+    assert.equal((await call('DELETE', '/api/link/14688/1.5')).status, 400);
+  });
+});
+
+describe('baselines', () => {
+  it('saves, lists, reads and deletes a snapshot', async () => {
+    const saved = await call('POST', `/api/gantt/${ROOT}/baselines`, { name: 'Kick-off' });
+    assert.equal(saved.status, 201);
+    assert.ok(saved.body.rowCount >= 9);
+
+    const list = await call('GET', `/api/gantt/${ROOT}/baselines`);
+    assert.deepEqual(list.body.map(b => b.name), ['Kick-off']);
+    const one = await call('GET', `/api/gantt/${ROOT}/baselines/${saved.body.id}`);
+    assert.ok(one.body.rows.some(r => r.id === 14687));
+
+    assert.equal((await call('DELETE', `/api/gantt/${ROOT}/baselines/${saved.body.id}`)).status, 200);
+    assert.equal((await call('GET', `/api/gantt/${ROOT}/baselines/${saved.body.id}`)).status, 404);
+  });
+
+  it('needs a name', async () => {
+    assert.equal((await call('POST', `/api/gantt/${ROOT}/baselines`, {})).status, 400);
+  });
+
+  it('keeps the baselines of each organisation apart', async () => {
+    const multi = await startServer({ ADO_ORGS: 'demo,acme' });
+    try {
+      const sessions = {
+        demo: await multi.login(TOKENS.anna),
+        acme: await signInTo(multi, 'acme', TOKENS.anna)
+      };
+      const inOrg = org => ({ cookie: `${sessions[org]}; ado-org=${org}` });
+      const saved = await multi.request(`/api/gantt/${ROOT}/baselines`, { method: 'POST', json: { name: 'Demo only' }, ...inOrg('demo') });
+      assert.equal(saved.status, 201);
+      const { id } = await saved.json();
+
+      const list = org => multi.request(`/api/gantt/${ROOT}/baselines`, inOrg(org)).then(r => r.json());
+      assert.deepEqual((await list('demo')).map(b => b.name), ['Demo only']);
+      assert.deepEqual(await list('acme'), []);
+      assert.equal((await multi.request(`/api/gantt/${ROOT}/baselines/${id}`, inOrg('acme'))).status, 404);
+      assert.equal((await multi.request(`/api/gantt/${ROOT}/baselines/${id}`, { method: 'DELETE', ...inOrg('acme') })).status, 404);
+    } finally {
+      await multi.stop();
+    }
+  });
+});
+
+describe('scenarios', () => {
+  let scenario;
+
+  it('starts an empty scenario', async () => {
+    const { status, body } = await call('POST', '/api/scenarios', { root: ROOT, name: 'Later launch' });
+    assert.equal(status, 201);
+    assert.equal(body.itemCount, 0);
+    scenario = body;
+    const list = await call('GET', `/api/scenarios?root=${ROOT}`);
+    assert.deepEqual(list.body.map(s => s.id), [scenario.id]);
+  });
+
+  it('stages edits without touching ADO and shows the diff', async () => {
+    const live = await row(14688);
+    const staged = await call('PATCH', `/api/scenarios/${scenario.id}/items/14688`, [
+      { op: 'test', path: '/rev', value: live.rev },
+      { op: 'replace', path: '/fields/OriginalEstimate', value: 30 }
+    ]);
+    assert.equal(staged.body.itemCount, 1);
+    assert.equal((await row(14688)).est, 24);
+
+    const { body } = await call('GET', `/api/scenarios/${scenario.id}`);
+    assert.deepEqual(body.diff, [{
+      id: 14688,
+      name: 'CMS integration',
+      rev: live.rev,
+      liveRev: live.rev,
+      fields: [{ field: 'Microsoft.VSTS.Scheduling.OriginalEstimate', live: 24, draft: 30 }]
+    }]);
+  });
+
+  it('rejects bodies that are no patch or change no field', async () => {
+    const url = `/api/scenarios/${scenario.id}/items/14688`;
+    assert.equal((await call('PATCH', url, { op: 'replace', path: '/fields/Title', value: 'x' })).status, 400);
+    const { status, body } = await call('PATCH', url, [{ op: 'test', path: '/rev', value: 1 }]);
+    assert.equal(status, 400);
+    assert.equal(body.error, 'invalid patch');
+    assert.equal((await call('PATCH', url, [])).status, 400);
+  });
+
+  it('drops a staged item', async () => {
+    await call('PATCH', `/api/scenarios/${scenario.id}/items/14687`, [
+      { op: 'replace', path: '/fields/Title', value: 'Templates' }
+    ]);
+    assert.equal((await call('DELETE', `/api/scenarios/${scenario.id}/items/14687`)).status, 200);
+    assert.equal((await call('DELETE', `/api/scenarios/${scenario.id}/items/14687`)).status, 404);
+  });
+
+  it('commits staged items and reports conflicts per item', async () => {
+    // 14685 is staged on its current revision, then changed behind the scenario's back
+    const stale = await row(14685);
+    await call('PATCH', `/api/scenarios/${scenario.id}/items/14685`, [
+      { op: 'test', path: '/rev', value: stale.rev },
+      { op: 'replace', path: '/fields/Title', value: 'Requirements' }
+    ]);
+    await call('PATCH', '/api/task/14685', [{ op: 'replace', path: '/fields/CompletedWork', value: 12 }]);
+
+    const { status, body } = await call('POST', `/api/scenarios/${scenario.id}/commit`);
+    assert.equal(status, 200);
+    assert.equal(body.committed, 1);
+    assert.equal(body.failed, 1);
+    const byId = new Map(body.results.map(r => [r.id, r]));
+    assert.equal(byId.get(14688).ok, true);
+    assert.equal(byId.get(14685).conflict, true);
+    assert.equal((await row(14688)).est, 30);
+
+    const { body: left } = await call('GET', `/api/scenarios/${scenario.id}`);
+    assert.deepEqual(Object.keys(left.items), ['14685']);
+    const { body: audit } = await call('GET', '/api/audit');
+    assert.ok(audit.some(e => e.workItem === 14688 && e.action === 'scenario'));
+  });
+
+  it('deletes a scenario', async () => {
+    assert.equal((await call('DELETE', `/api/scenarios/${scenario.id}`)).status, 200);
+    assert.equal((await call('GET', `/api/scenarios/${scenario.id}`)).status, 404);
+  });
+
+  it('validates root and name', async () => {
+    assert.equal((await call('POST', '/api/scenarios', { root: 'x', name: 'n' })).status, 400);
+    assert.equal((await call('POST', '/api/scenarios', { root: ROOT })).status, 400);
+  });
+});
+
+describe('plan import', () => {
+  const csv = [
+    'Title,Level,Orig Est (h),Billable',
+    'Relaunch – fixed price,1,,',
+    'Performance budget,2,5,Yes'
+  ].join('\r\n');
+
+  it('previews what the import would do', async () => {
+    const { status, body } = await call('POST', `/api/gantt/${ROOT}/import/preview`, { format: 'csv', content: csv });
+    assert.equal(status, 200);
+    assert.deepEqual(body.summary, { create: 1, update: 0, match: 1 });
+    assert.equal(body.items[0].id, 14682);
+  });
+
+  it('creates the new rows below their matched parent', async () => {
+    const { status, body } = await call('POST', `/api/gantt/${ROOT}/import`, { format: 'csv', content: csv });
+    assert.equal(status, 200);
+    assert.equal(body.summary.failed, 0);
+    const created = await row(body.results[1].id);
+    assert.equal(created.name, 'Performance budget');
+    assert.equal(created.parent, 14682);
+    assert.equal(created.est, 5);
+  });
+
+  for (const format of ['csv', 'mspdi']) {
+    it(`matches every row of its own ${format} export, the root included`, async () => {
+      const { body: content } = await call('GET', `/api/gantt/${ROOT}/export?format=${format}`);
+      const { body } = await call('POST', `/api/gantt/${ROOT}/import/preview`, { format, content });
+      assert.deepEqual(body.summary, { create: 0, update: 0, match: body.items.length });
+      assert.equal(body.items[0].id, ROOT);
+    });
+  }
+
+  it('rejects empty and unknown plans', async () => {
+    assert.equal((await call('POST', `/api/gantt/${ROOT}/import/preview`, { format: 'csv' })).status, 400);
+    assert.equal((await call('POST', `/api/gantt/${ROOT}/import/preview`, { format: 'pdf', content: 'x' })).status, 400);
+  });
+});
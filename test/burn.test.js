@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// days have 23 or 25 hours around the DST changes here
+process.env.TZ = 'Europe/Oslo';
+const { buildBurn } = await import('../lib/burn.js');
+
+const config = {
+  fields: { completedWork: 'Microsoft.VSTS.Scheduling.CompletedWork', originalEstimate: 'Microsoft.VSTS.Scheduling.OriginalEstimate' },
+  types: { demand: 'ITDemand' },
+  phaseRe: /^P\d+\./
+};
+
+const update = (date, values) => ({
+  fields: Object.fromEntries([
+    ['System.ChangedDate', { newValue: date.toISOString() }],
+    ...Object.entries(values).map(([k, v]) => [config.fields[k], { newValue: v }])
+  ])
+});
+
+describe('buildBurn', () => {
+  it('has one entry per calendar day across the end of DST', () => {
+    const burn = buildBurn([], new Map(), { from: new Date(2026, 9, 22), to: new Date(2026, 9, 28, 12), config });
+    assert.deepEqual(burn.days, ['2026-10-22', '2026-10-23', '2026-10-24', '2026-10-25', '2026-10-26', '2026-10-27', '2026-10-28']);
+  });
+
+  it('has one entry per calendar day across the start of DST', () => {
+    const burn = buildBurn([], new Map(), { from: new Date(2026, 2, 27), to: new Date(2026, 2, 30, 23, 30), config });
+    assert.deepEqual(burn.days, ['2026-03-27', '2026-03-28', '2026-03-29', '2026-03-30']);
+  });
+
+  it('projects the finish in calendar days', () => {
+    const rows = [{ id: 1, parent: null, type: 'Task', name: 'Build' }];
+    const updates = new Map([[1, [
+      update(new Date(2026, 2, 26, 10), { originalEstimate: 10 }),
+      update(new Date(2026, 2, 28, 10), { completedWork: 8 })
+    ]]]);
+    // 4 h a day, 2 h left on Saturday night ➜ done on Sunday, the 23 hour day
+    const burn = buildBurn(rows, updates, { from: new Date(2026, 2, 26), to: new Date(2026, 2, 28, 23, 30), config });
+    assert.deepEqual(burn.projection, { ratePerDay: 4, remaining: 2, finish: '2026-03-29' });
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCache } from '../lib/cache.js';
+
+describe('createCache', () => {
+  const keys = cache => cache.status().map(s => s.key);
+
+  it('drops the least recently used key beyond maxEntries', async () => {
+    const cache = createCache({ refresh: async key => `tree ${key}`, maxEntries: 2 });
+    await cache.get(1);
+    await cache.get(2);
+    await cache.get(1);
+    await cache.get(3);
+    assert.deepEqual(keys(cache), [1, 3]);
+    assert.equal((await cache.get(1)).value, 'tree 1');
+  });
+
+  it('keeps keys that are still loading', async () => {
+    let release;
+    const slow = new Promise(resolve => { release = resolve; });
+    const cache = createCache({ refresh: key => (key === 1 ? slow : Promise.resolve(key)), maxEntries: 1 });
+    const first = cache.get(1);
+    await cache.get(2);
+    assert.deepEqual(keys(cache), [1, 2]);
+    release('tree 1');
+    assert.equal((await first).value, 'tree 1');
+    await cache.get(3);
+    assert.deepEqual(keys(cache), [3]);
+  });
+});
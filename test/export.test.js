@@ -0,0 +1,30 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { csvTable, toMspdi } from '../lib/export.js';
+
+describe('csvTable', () => {
+  const columns = [{ key: 'title', header: 'Title' }, { key: 'est', header: 'Est' }];
+  const lines = records => csvTable(columns, records).slice(1).trim().split('\r\n').slice(1);
+
+  it('keeps text that looks like a formula as text', () => {
+    assert.deepEqual(lines([
+      { title: '=HYPERLINK("http://x")', est: 1 },
+      { title: '+1', est: 2 },
+      { title: '-sum', est: -3 },
+      { title: '@A1', est: 0 }
+    ]), ['"\'=HYPERLINK(""http://x"")",1', "'+1,2", "'-sum,-3", "'@A1,0"]);
+  });
+});
+
+describe('toMspdi', () => {
+  const work = est => /<Work>(.*?)<\/Work>/.exec(toMspdi([{ id: 1, parent: null, name: 'Task', est }]))[1];
+
+  it('writes durations as hours and minutes', () => {
+    assert.equal(work(2.5), 'PT2H30M0S');
+    assert.equal(work(0), 'PT0H0M0S');
+  });
+
+  it('carries minutes that round up to a full hour', () => {
+    assert.equal(work(1.999), 'PT2H0M0S');
+  });
+});
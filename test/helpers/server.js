@@ -0,0 +1,114 @@
+// -------------------------------------------------------------
+// test/helpers/server.js - the dashboard in offline mode on a free port,
+// backed by the mock ADO and fixtures/demo.json, with its own data dir
+// -------------------------------------------------------------
+import { spawn } from 'node:child_process';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { createServer } from 'node:net';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const START_TIMEOUT_MS = 15000;
+
+/** Fixture tokens (see fixtures/demo.json) */
+export const TOKENS = { anna: 'demo-anna', ben: 'demo-ben' };
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = createServer();
+    srv.once('error', reject);
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+/** `YYYY-MM-DD` of today + `days`, local time like the fixture dates */
+export function isoDay(days = 0) {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Start `node index.js --fixtures fixtures/demo.json`. Every server has a
+ * fresh mock (fixture state) and an empty data dir, so test files do not
+ * see each other's writes.
+ * @param {object} [env] - Extra environment variables.
+ */
+export async function startServer(env = {}) {
+  const port = await freePort();
+  const dataDir = mkdtempSync(path.join(tmpdir(), 'planner-test-'));
+  const child = spawn(process.execPath, ['index.js', '--fixtures', 'fixtures/demo.json'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      ADO_ORG: 'demo',
+      ADO_ORGS: '',
+      ADO_PROJECT: 'POL',
+      ADO_PAT: '',
+      WEBHOOK_SECRET: '',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${output}`)), START_TIMEOUT_MS);
+    const onData = chunk => {
+      output = (output + chunk).slice(-20000);
+      if (output.includes(`http://localhost:${port}`)) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`server exited with ${code}:\n${output}`));
+    });
+  });
+
+  const base = `http://127.0.0.1:${port}`;
+
+  /**
+   * fetch() against the server. `json` is sent as JSON body, `cookie` as
+   * Cookie header.
+   */
+  function request(url, { json, cookie, headers = {}, ...init } = {}) {
+    return fetch(base + url, {
+      ...init,
+      headers: {
+        ...(json !== undefined && { 'Content-Type': 'application/json' }),
+        ...(cookie && { Cookie: cookie }),
+        ...headers
+      },
+      ...(json !== undefined && { body: JSON.stringify(json) })
+    });
+  }
+
+  /** Sign in with a fixture token; resolves to the session cookie */
+  async function login(pat = TOKENS.anna) {
+    const res = await request('/api/auth/login', { method: 'POST', json: { provider: 'pat', pat } });
+    if (res.status !== 200) throw new Error(`login failed: ${res.status} ${await res.text()}`);
+    return res.headers.get('set-cookie').split(';')[0];
+  }
+
+  async function stop() {
+    if (child.exitCode == null) {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill();
+      await exited;
+    }
+    rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  return { base, port, dataDir, request, login, stop };
+}
@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsvPlan, parseCsvText, parseMspdiPlan, previewImport } from '../lib/import.js';
+
+describe('parseCsvText', () => {
+  it('splits on commas and keeps semicolons in the text', () => {
+    assert.deepEqual(parseCsvText('Title,Level\r\nDesign; review,2\r\n'), [['Title', 'Level'], ['Design; review', '2']]);
+  });
+
+  it('splits on semicolons when the header uses them and keeps commas', () => {
+    assert.deepEqual(parseCsvText('\uFEFFTitle;Orig Est (h)\nWrite texts, part 1;2,5\n'), [['Title', 'Orig Est (h)'], ['Write texts, part 1', '2,5']]);
+  });
+
+  it('ignores delimiters inside quoted header cells', () => {
+    assert.deepEqual(parseCsvText('"Title; name",Level\nA,1'), [['Title; name', 'Level'], ['A', '1']]);
+  });
+
+  it('reads quoted fields with quotes and line breaks', () => {
+    assert.deepEqual(parseCsvText('Title,Notes\n"Say ""hi""","two\nlines"\n\n'), [['Title', 'Notes'], ['Say "hi"', 'two\nlines']]);
+  });
+});
+
+describe('parseMspdiPlan', () => {
+  const types = { hierarchy: ['Project', 'ITDemand', 'Task'], task: 'Task' };
+  const task = (uid, level, name, summary = 0) =>
+    `<Task><UID>${uid}</UID><Name>${name}</Name><OutlineLevel>${level}</OutlineLevel><Summary>${summary}</Summary></Task>`;
+  const xml = tasks => `<?xml version="1.0"?><Project><Tasks>${task(0, 0, 'Plan', 1)}${tasks.join('')}</Tasks></Project>`;
+
+  it('gives summary tasks the parent type and all others Task', () => {
+    const items = parseMspdiPlan(xml([
+      task(1, 1, 'Discovery', 1),
+      task(2, 2, 'Interviews'),
+      task(3, 1, 'Build'),
+      task(4, 2, 'Templates'),
+      task(5, 1, 'Go-live', 1)
+    ]), types);
+    assert.deepEqual(items.map(i => [i.name, i.type, i.level]), [
+      ['Discovery', 'ITDemand', 1], ['Interviews', 'Task', 2],
+      ['Build', 'ITDemand', 1], ['Templates', 'Task', 2],
+      ['Go-live', 'ITDemand', 1]
+    ]);
+  });
+});
+
+describe('previewImport', () => {
+  const types = { hierarchy: ['ITDemand', 'Task'], task: 'Task' };
+  const rows = [
+    { id: 1, parent: null, name: 'Relaunch' },
+    { id: 2, parent: 1, name: 'Design', est: 8 }
+  ];
+  const actions = csv => previewImport(parseCsvPlan(csv, types), rows, 1).map(i => [i.name, i.action, i.id]);
+
+  it('matches a leading root row by id or by title', () => {
+    assert.deepEqual(actions('ID,Title,Level\n1,Website,0\n2,Design,1\n,Build,1'),
+      [['Website', 'match', 1], ['Design', 'match', 2], ['Build', 'create', null]]);
+    assert.deepEqual(actions('Title,Level\nrelaunch,0\nDesign,1'),
+      [['relaunch', 'match', 1], ['Design', 'match', 2]]);
+  });
+
+  it('imports a single other top level row below the root', () => {
+    assert.deepEqual(actions('Title,Level\nDesign,1\nSketches,2'),
+      [['Design', 'match', 2], ['Sketches', 'create', null]]);
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// the week before 29 March 2027 is an hour short here
+process.env.TZ = 'Europe/Oslo';
+const { buildPortfolio } = await import('../lib/portfolio.js');
+
+const cal = { hoursPerDay: 6, workStart: 9, workDays: [1, 2, 3, 4, 5], holidays: {}, people: {} };
+const config = { types: { task: 'Task' }, closedStates: ['Closed'] };
+
+const project = (id, title, task) => ({
+  project: { id, title, state: 'Active' },
+  rows: [
+    { id, parent: null, name: title, type: 'Project' },
+    { type: 'Task', state: 'Active', assignedTo: 'Anna', done: 0, parent: id, ...task }
+  ]
+});
+
+describe('buildPortfolio', () => {
+  it('keeps work of the next week out of a conflict across the DST change', () => {
+    const { conflicts } = buildPortfolio([
+      project(1, 'Relaunch', { id: 11, name: 'Design', est: 60,
+        start: new Date(2027, 2, 22, 9), finish: new Date(2027, 2, 26, 15) }),
+      project(2, 'Intranet', { id: 21, name: 'Migration', est: 10,
+        start: new Date(2027, 2, 29), finish: new Date(2027, 2, 30, 15) })
+    ], { cal, config, now: new Date(2027, 2, 22, 8) });
+    assert.deepEqual(conflicts, []);
+  });
+
+  it('reports a week in which two projects overbook a person', () => {
+    const { conflicts } = buildPortfolio([
+      project(1, 'Relaunch', { id: 11, name: 'Design', est: 20,
+        start: new Date(2027, 2, 22, 9), finish: new Date(2027, 2, 26, 15) }),
+      project(2, 'Intranet', { id: 21, name: 'Migration', est: 20,
+        start: new Date(2027, 2, 22, 9), finish: new Date(2027, 2, 26, 15) })
+    ], { cal, config, now: new Date(2027, 2, 22, 8) });
+    assert.deepEqual(conflicts.map(c => [c.person, c.week, c.tasks]), [['Anna', '2027-03-22', [11, 21]]]);
+  });
+});
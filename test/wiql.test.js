@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { WiqlError, field, idList, literal, wiql, workItemId } from '../lib/wiql.js';
+
+describe('wiql``', () => {
+  it('quotes string literals and doubles single quotes', () => {
+    const title = "Bob's plan' OR [System.Id] > '0";
+    assert.equal(
+      wiql`SELECT [System.Id] FROM WorkItems WHERE [System.Title] = ${title}`,
+      "SELECT [System.Id] FROM WorkItems WHERE [System.Title] = 'Bob''s plan'' OR [System.Id] > ''0'"
+    );
+  });
+
+  it('keeps backslashes as they are', () => {
+    assert.equal(wiql`[System.AreaPath] UNDER ${'POL\\Oslo\\'}`, "[System.AreaPath] UNDER 'POL\\Oslo\\'");
+  });
+
+  it('rejects control characters and newlines', () => {
+    for (const value of ['a\nb', 'a\r\nb', 'tab\there', 'nul\u0000', '\u001b[31m']) {
+      assert.throws(() => wiql`WHERE [System.Title] = ${value}`, WiqlError, JSON.stringify(value));
+    }
+  });
+
+  it('rejects overlong strings', () => {
+    assert.throws(() => literal('x'.repeat(1025)), WiqlError);
+    assert.equal(literal('x'.repeat(1024)).length, 1026);
+  });
+
+  it('renders numbers, booleans, dates and arrays', () => {
+    const at = new Date(Date.UTC(2026, 9, 1));
+    assert.equal(
+      wiql`${5} ${true} ${at} IN (${['To Do', "Won't do"]})`,
+      "5 true '2026-10-01T00:00:00.000Z' IN ('To Do','Won''t do')"
+    );
+    assert.throws(() => wiql`${Infinity}`, WiqlError);
+    assert.throws(() => wiql`${new Date('x')}`, WiqlError);
+    assert.throws(() => wiql`IN (${[]})`, WiqlError);
+    assert.throws(() => wiql`${{ text: 'raw' }}`, WiqlError);
+    assert.throws(() => wiql`${null}`, WiqlError);
+  });
+
+  it('inserts field() and idList() fragments unquoted', () => {
+    assert.equal(
+      wiql`SELECT ${field('Custom.Location')} WHERE [System.Id] IN (${idList([1, '22'])})`,
+      'SELECT [Custom.Location] WHERE [System.Id] IN (1,22)'
+    );
+  });
+});
+
+describe('workItemId', () => {
+  it('accepts positive integers as numbers or digit strings', () => {
+    assert.equal(workItemId(14681), 14681);
+    assert.equal(workItemId('14681'), 14681);
+    assert.equal(workItemId(' 7 '), 7);
+  });
+
+  it('rejects everything else', () => {
+    for (const value of [0, -1, '-1', 1.5, '1.5', '1e3', '0x10', '12 OR 1=1', '', NaN, 2 ** 53, null, undefined, [1]]) {
+      assert.throws(() => workItemId(value), WiqlError, String(value));
+    }
+  });
+});
+
+describe('idList', () => {
+  it('rejects an empty or missing list', () => {
+    assert.throws(() => idList([]), WiqlError);
+    assert.throws(() => idList(undefined), WiqlError);
+  });
+
+  it('accepts numbers mixed with digit strings', () => {
+    assert.equal(literal(idList([3, '4', ' 5'])), '3,4,5');
+  });
+
+  it('rejects a list with one bad id', () => {
+    assert.throws(() => idList([3, '4', '5); DROP']), WiqlError);
+    assert.throws(() => idList([3, -4]), WiqlError);
+  });
+});
+
+describe('field', () => {
+  it('accepts Namespace.Name references', () => {
+    assert.equal(literal(field('System.Title')), '[System.Title]');
+    assert.equal(literal(field('Microsoft.VSTS.Scheduling.OriginalEstimate')), '[Microsoft.VSTS.Scheduling.OriginalEstimate]');
+    assert.equal(literal(field('Custom.Sold-Hours')), '[Custom.Sold-Hours]');
+  });
+
+  it('rejects references that are not A.B shaped', () => {
+    for (const ref of ['Title', 'System.', '.Title', 'System..Title', '1System.Title', 'System.Title]', 'System Title', '', null]) {
+      assert.throws(() => field(ref), WiqlError, String(ref));
+    }
+  });
+});